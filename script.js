@@ -3,43 +3,165 @@
  *
  * This script manages recipes, pantry items, weekly meal plans and
  * generating grocery lists by aggregating recipe ingredients and
- * subtracting pantry quantities.  Data is persisted in
- * localStorage under the keys `gp_recipes`, `gp_pantry` and
- * `gp_weeks`.  The UI is kept simple and focuses on manual data
- * entry rather than external API integrations.
+ * subtracting pantry quantities.  Data is persisted record by record
+ * in IndexedDB, or in localStorage under `gp_*` keys (`gp_recipes`,
+ * `gp_pantry`, `gp_weeks` and friends) where IndexedDB is unavailable;
+ * see openStorage.  A service worker (sw.js) caches the app so it also
+ * works offline, and devices can share data through a household sync
+ * server (server/sync-server.js; see syncNow).  The UI is kept simple
+ * and focuses on manual data entry rather than external API
+ * integrations.
  */
 
 document.addEventListener('DOMContentLoaded', () => {
-  // Predefined units and store sections
+  // Predefined units and store sections.  Mass units carry their size
+  // in grams and volume units their size in millilitres (`toBase`), so
+  // any two units of the same type can be converted.  Kitchen and
+  // imperial measures use US customary sizes.  Count units have no
+  // type and only convert to themselves.  `aliases` are the spellings
+  // recognised when parsing free-text ingredient lines.
   const units = [
-    { id: 'g', name: 'grams', short: 'g' },
-    { id: 'kg', name: 'kilograms', short: 'kg' },
-    { id: 'ml', name: 'millilitres', short: 'ml' },
-    { id: 'l', name: 'litres', short: 'L' },
-    { id: 'tsp', name: 'teaspoons', short: 'tsp' },
-    { id: 'tbsp', name: 'tablespoons', short: 'tbsp' },
-    { id: 'cup', name: 'cups', short: 'cup' },
-    { id: 'pc', name: 'pieces', short: 'pc' },
-    { id: 'can', name: 'cans', short: 'can' },
-    { id: 'pack', name: 'packs', short: 'pack' },
+    { id: 'g', name: 'grams', short: 'g', type: 'mass', toBase: 1, aliases: ['gram', 'grams', 'gr'] },
+    { id: 'kg', name: 'kilograms', short: 'kg', type: 'mass', toBase: 1000, aliases: ['kilo', 'kilos', 'kilogram', 'kilograms', 'kgs'] },
+    { id: 'oz', name: 'ounces', short: 'oz', type: 'mass', toBase: 28.349523, aliases: ['ounce', 'ounces'] },
+    { id: 'lb', name: 'pounds', short: 'lb', type: 'mass', toBase: 453.59237, aliases: ['lbs', 'pound', 'pounds'] },
+    { id: 'ml', name: 'millilitres', short: 'ml', type: 'volume', toBase: 1, aliases: ['millilitre', 'millilitres', 'milliliter', 'milliliters', 'mls'] },
+    { id: 'l', name: 'litres', short: 'L', type: 'volume', toBase: 1000, aliases: ['litre', 'litres', 'liter', 'liters', 'ltr'] },
+    { id: 'tsp', name: 'teaspoons', short: 'tsp', type: 'volume', toBase: 4.928922, aliases: ['teaspoon', 'teaspoons', 'tsps', 't'] },
+    { id: 'tbsp', name: 'tablespoons', short: 'tbsp', type: 'volume', toBase: 14.786765, aliases: ['tablespoon', 'tablespoons', 'tbsps', 'tbs', 'tbl', 'T'] },
+    { id: 'floz', name: 'fluid ounces', short: 'fl oz', type: 'volume', toBase: 29.573530, aliases: ['fl oz', 'fl. oz', 'fluid ounce', 'fluid ounces'] },
+    { id: 'cup', name: 'cups', short: 'cup', type: 'volume', toBase: 236.588237, aliases: ['cups', 'c'] },
+    { id: 'pint', name: 'pints', short: 'pt', type: 'volume', toBase: 473.176473, aliases: ['pint', 'pints', 'pts'] },
+    { id: 'quart', name: 'quarts', short: 'qt', type: 'volume', toBase: 946.352946, aliases: ['quart', 'quarts', 'qts'] },
+    { id: 'pc', name: 'pieces', short: 'pc', type: null, toBase: 1, aliases: ['piece', 'pieces', 'pcs', 'clove', 'cloves', 'whole'] },
+    { id: 'can', name: 'cans', short: 'can', type: null, toBase: 1, aliases: ['cans', 'tin', 'tins', 'jar', 'jars'] },
+    { id: 'pack', name: 'packs', short: 'pack', type: null, toBase: 1, aliases: ['packs', 'packet', 'packets', 'pkg', 'bag', 'bags'] },
   ];
 
-  const sections = [
-    { id: 'produce', name: 'Produce', sort: 1 },
-    { id: 'dairy', name: 'Dairy & Eggs', sort: 2 },
-    { id: 'frozen', name: 'Frozen', sort: 3 },
-    { id: 'dry', name: 'Dry Goods', sort: 4 },
-    { id: 'canned', name: 'Canned & Jars', sort: 5 },
-    { id: 'baking', name: 'Baking & Spices', sort: 6 },
-    { id: 'bakery', name: 'Bakery', sort: 7 },
-    { id: 'beverages', name: 'Beverages', sort: 8 },
-    { id: 'snacks', name: 'Snacks', sort: 9 },
-    { id: 'household', name: 'Household', sort: 10 },
-    { id: 'personal', name: 'Personal Care', sort: 11 },
-    { id: 'misc', name: 'Misc', sort: 12 },
+  // Imprecise measures found in recipes, as fractions of a teaspoon
+  const pinchMeasures = { pinch: 1 / 16, dash: 1 / 8, smidgen: 1 / 32 };
+
+  // Built-in densities in grams per millilitre for common ingredients,
+  // used to reconcile mass and volume quantities (e.g. "200 g flour"
+  // against "1 cup flour").  Entries saved in Settings override these.
+  const defaultDensities = {
+    flour: 0.53,
+    sugar: 0.85,
+    'brown sugar': 0.93,
+    'icing sugar': 0.56,
+    butter: 0.91,
+    milk: 1.03,
+    water: 1,
+    cream: 1.01,
+    yogurt: 1.03,
+    honey: 1.42,
+    'olive oil': 0.91,
+    oil: 0.92,
+    rice: 0.85,
+    oats: 0.41,
+    salt: 1.2,
+    'cocoa powder': 0.42,
+  };
+
+  // Store sections used until the user edits them in Settings, in the
+  // order aisles are listed when no store profile is active
+  const defaultSections = [
+    { id: 'produce', name: 'Produce' },
+    { id: 'dairy', name: 'Dairy & Eggs' },
+    { id: 'frozen', name: 'Frozen' },
+    { id: 'dry', name: 'Dry Goods' },
+    { id: 'canned', name: 'Canned & Jars' },
+    { id: 'baking', name: 'Baking & Spices' },
+    { id: 'bakery', name: 'Bakery' },
+    { id: 'beverages', name: 'Beverages' },
+    { id: 'snacks', name: 'Snacks' },
+    { id: 'household', name: 'Household' },
+    { id: 'personal', name: 'Personal Care' },
+    { id: 'misc', name: 'Misc' },
+  ];
+
+  // Starter ingredient catalog, written to storage the first time the
+  // app runs.  Each entry names the canonical ingredient, the spellings
+  // that should be treated as the same thing, and where it is usually
+  // shelved and measured.
+  const defaultCatalog = [
+    { id: 'tomato', name: 'Tomato', aliases: ['fresh tomato'], sectionId: 'produce', unitId: 'pc' },
+    { id: 'onion', name: 'Onion', aliases: ['brown onion', 'yellow onion'], sectionId: 'produce', unitId: 'pc' },
+    { id: 'garlic', name: 'Garlic', aliases: ['garlic clove', 'clove of garlic'], sectionId: 'produce', unitId: 'pc' },
+    { id: 'potato', name: 'Potato', aliases: [], sectionId: 'produce', unitId: 'g' },
+    { id: 'carrot', name: 'Carrot', aliases: [], sectionId: 'produce', unitId: 'pc' },
+    { id: 'milk', name: 'Milk', aliases: ['whole milk', 'semi-skimmed milk'], sectionId: 'dairy', unitId: 'ml' },
+    { id: 'butter', name: 'Butter', aliases: ['unsalted butter', 'salted butter'], sectionId: 'dairy', unitId: 'g' },
+    { id: 'egg', name: 'Egg', aliases: ['large egg', 'medium egg'], sectionId: 'dairy', unitId: 'pc' },
+    { id: 'cheddar', name: 'Cheddar', aliases: ['cheddar cheese'], sectionId: 'dairy', unitId: 'g' },
+    { id: 'flour', name: 'Flour', aliases: ['plain flour', 'all-purpose flour'], sectionId: 'baking', unitId: 'g' },
+    { id: 'sugar', name: 'Sugar', aliases: ['caster sugar', 'granulated sugar', 'white sugar'], sectionId: 'baking', unitId: 'g' },
+    { id: 'salt', name: 'Salt', aliases: ['sea salt', 'table salt'], sectionId: 'baking', unitId: 'g' },
+    { id: 'rice', name: 'Rice', aliases: ['long grain rice', 'basmati rice'], sectionId: 'dry', unitId: 'g' },
+    { id: 'pasta', name: 'Pasta', aliases: ['dried pasta'], sectionId: 'dry', unitId: 'g' },
+    { id: 'olive-oil', name: 'Olive oil', aliases: ['extra virgin olive oil'], sectionId: 'dry', unitId: 'ml' },
+    { id: 'chopped-tomatoes', name: 'Chopped tomatoes', aliases: ['canned tomatoes', 'tinned tomatoes'], sectionId: 'canned', unitId: 'can' },
+    { id: 'chicken-breast', name: 'Chicken breast', aliases: ['chicken fillet'], sectionId: 'misc', unitId: 'g' },
+    { id: 'bread', name: 'Bread', aliases: ['loaf'], sectionId: 'bakery', unitId: 'pc' },
+  ];
+
+  // Nutrients tracked per 100 g (or 100 ml) of an ingredient
+  const nutrientFields = [
+    { id: 'kcal', name: 'Energy', unit: 'kcal' },
+    { id: 'protein', name: 'Protein', unit: 'g' },
+    { id: 'carbs', name: 'Carbs', unit: 'g' },
+    { id: 'fat', name: 'Fat', unit: 'g' },
+    { id: 'fibre', name: 'Fibre', unit: 'g' },
+  ];
+
+  // Meal slots used until the user configures their own in Settings
+  // `time` (HH:MM) is when the meal starts in calendar exports
+  const defaultMealSlots = [
+    { id: 'breakfast', name: 'Breakfast', time: '08:00' },
+    { id: 'lunch', name: 'Lunch', time: '12:30' },
+    { id: 'dinner', name: 'Dinner', time: '18:30' },
+    { id: 'snack', name: 'Snack', time: '15:30' },
+    { id: 'drinks', name: 'Drinks', time: '20:00' },
   ];
+  // Length of each meal in calendar exports, in minutes
+  const mealEventMinutes = 60;
 
-  // In‑memory copies of data persisted in localStorage
+  // Version of the stored data layout, stamped in storage and backups.
+  // Bump it and add a step to `migrations` whenever the shape of
+  // persisted data changes.  Data without a stamp is version 1.
+  const schemaVersion = 3;
+
+  // Upgrade steps, applied in order to data older than their version
+  const migrations = [
+    { version: 2, description: 'Meal slots hold a list of dishes', migrate: (data) => upgradeSlotDishes(data.weeks) },
+    {
+      version: 3,
+      description: 'Recipes gain servings, tags and suitable slots; pantry items gain par levels',
+      migrate: fillRecordDefaults,
+    },
+  ];
+
+  // Every collection kept in storage and backups, with its localStorage
+  // key and how it is split into records: 'list' collections are arrays
+  // of records identified by `id` (or the `idField` given), 'table'
+  // collections objects keyed by name, and 'single' ones one record.
+  const storedCollections = [
+    { name: 'recipes', key: 'gp_recipes', kind: 'list' },
+    { name: 'pantry', key: 'gp_pantry', kind: 'list' },
+    { name: 'weeks', key: 'gp_weeks', kind: 'table' },
+    { name: 'densities', key: 'gp_densities', kind: 'table' },
+    { name: 'catalog', key: 'gp_catalog', kind: 'list' },
+    { name: 'nutrients', key: 'gp_nutrients', kind: 'table' },
+    { name: 'prices', key: 'gp_prices', kind: 'table' },
+    { name: 'staples', key: 'gp_staples', kind: 'list' },
+    { name: 'listHistory', key: 'gp_listHistory', kind: 'list', idField: 'weekStart' },
+    { name: 'cookLog', key: 'gp_cookLog', kind: 'list' },
+    { name: 'settings', key: 'gp_settings', kind: 'single' },
+    { name: 'templates', key: 'gp_templates', kind: 'list' },
+    { name: 'lastList', key: 'gp_lastList', kind: 'single' },
+  ];
+
+  // In‑memory copies of persisted data
   let recipes = [];
   let pantry = [];
   let weeks = {};
@@ -48,70 +170,722 @@ document.addEventListener('DOMContentLoaded', () => {
   // the weekStart they were generated for.  Used to carry leftovers and
   // restore checkbox state.
   let lastList = { weekStart: null, items: [] };
+  // Archive of past grocery lists, one per week, oldest first:
+  // { weekStart, archivedAt, items } where each item keeps its name,
+  // quantity, unit, section, checked/covered state and `cost` (the
+  // price paid, or the estimate at the time; null when unknown).
+  let listHistory = [];
   // Carried over items when starting a new week.  This is populated
   // when the user opts to carry forward leftover items from the
   // previous week.
   let carriedItems = [];
+  // Staples bought on a schedule: { id, name, qty, unitId, sectionId,
+  // rule, threshold, since } where `rule` is 'weekly', 'biweekly' (counted
+  // from the week `since`) or 'below' (when the pantry holds less than
+  // `threshold` of `unitId`).
+  let staples = [];
   // Track recipe currently being edited; null when creating new
   let editingRecipeId = null;
   // Track pantry item currently being edited; null when adding new
   let editingPantryId = null;
+  // User-defined ingredient densities (g per ml) keyed by lowercase name
+  let densities = {};
+  // Nutrient table keyed by normalised ingredient name:
+  // { per: 'g'|'ml', kcal, protein, carbs, fat, fibre, pieceGrams }
+  // with values per 100 g or ml; `pieceGrams` weighs one count unit.
+  let nutrients = {};
+  // Prices keyed by ingredientKey: { name, price, packQty, unitId,
+  // purchases } where `price` buys `packQty` of `unitId` and
+  // `purchases` records what was actually paid ({ date, paid, qty, unitId }).
+  let prices = {};
+  // Ingredient catalog: { id, name, aliases, sectionId, unitId }
+  let catalog = [];
+  // Track catalog entry currently being edited; null when adding new
+  let editingCatalogId = null;
+  // Log of meals marked as cooked and what each took from the pantry,
+  // newest last.  Entries are kept after undo (flagged `undone`).
+  let cookLog = [];
+  // Saved week templates: { id, name, days } where `days` holds seven
+  // { slotId: [{ recipeId, servings }] } maps, Monday first.
+  let templates = [];
+  // Store profile whose aisle order is open in Settings
+  let editingStoreId = null;
+  // Dish picked up for a keyboard move: { weekStart, date, slotId, dishId }
+  let pendingMove = null;
+  // Storage keys that held unreadable JSON at start-up
+  let loadProblems = [];
+  // Storage adapter chosen at start-up (see openStorage)
+  let storage = null;
+  // JSON of every record as last written, keyed by record key (see
+  // storageEntries), so saveData only writes records that changed
+  let persisted = new Map();
+  // Undo and redo history, newest last: { label, changes } where each
+  // change is { key, before, after } with the JSON of one record (null
+  // when absent).  `undoBase` holds the records the next change is
+  // measured against; history is not kept until start-up has finished.
+  let undoStack = [];
+  let redoStack = [];
+  let undoBase = null;
+  const undoLimit = 100;
+  // Household sync connection, or null when not set up:
+  // { url, household, token, prefer, seq, revs, pending, lastSync } where
+  // `seq` is the last server revision pulled, `revs` the server revision
+  // of each synced record and `pending` the records changed here since,
+  // each with the JSON it was based on (see noteLocalChanges).  Kept in
+  // storage but outside collectData, so not in backups or undo history.
+  let syncState = null;
+  let syncTimer = null;
+  let syncPoll = null;
+  let syncRunning = null;
+  let syncQueued = false;
+  // Set while records pulled from the server are being saved
+  let syncApplying = false;
+  // Collections shared between devices through the sync server
+  const syncedCollections = ['recipes', 'pantry', 'weeks', 'lastList'];
+  // Tags selected as filters in the recipe list
+  let activeTagFilters = [];
+  // Counter giving each recipe picker's listbox a unique id
+  let pickerCount = 0;
+  // User preferences.  `mealSlots` is the ordered list of plan columns;
+  // `autoFill` holds the rules for the plan generator; `sections` the
+  // store sections and `stores` the store profiles ({ id, name, order })
+  // with `activeStoreId` the one whose aisle order the list follows.
+  let settings = normaliseSettings({});
 
   /**
-   * Load persisted data from localStorage into in‑memory structures.
+   * Read and parse one localStorage key.  A value that is not valid
+   * JSON is copied to `<key>_unreadable` so it can be recovered by hand,
+   * and the key is noted in `loadProblems`, instead of being lost.
+   * @param {string} key
+   * @param {*} fallback Value used when the key is missing or unreadable
+   * @returns {*}
    */
-  function loadData() {
+  function readStoredKey(key, fallback) {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return fallback;
     try {
-      const r = localStorage.getItem('gp_recipes');
-      recipes = r ? JSON.parse(r) : [];
+      return JSON.parse(raw);
     } catch (err) {
-      recipes = [];
+      localStorage.setItem(`${key}_unreadable`, raw);
+      loadProblems.push(key);
+      return fallback;
     }
-    try {
-      const p = localStorage.getItem('gp_pantry');
-      pantry = p ? JSON.parse(p) : [];
-    } catch (err) {
-      pantry = [];
+  }
+
+  /**
+   * Load persisted data from localStorage into in‑memory structures.
+   */
+  function loadData() {
+    recipes = readStoredKey('gp_recipes', []);
+    pantry = readStoredKey('gp_pantry', []);
+    weeks = readStoredKey('gp_weeks', {});
+    densities = readStoredKey('gp_densities', {});
+    // The catalog starts from the built-in entries on first run
+    catalog = readStoredKey('gp_catalog', null) || defaultCatalog.map((e) => ({ ...e }));
+    nutrients = readStoredKey('gp_nutrients', {});
+    prices = readStoredKey('gp_prices', {});
+    staples = readStoredKey('gp_staples', []);
+    cookLog = readStoredKey('gp_cookLog', []);
+    settings = normaliseSettings(readStoredKey('gp_settings', {}));
+    templates = readStoredKey('gp_templates', []);
+    listHistory = readStoredKey('gp_listHistory', []);
+    lastList = readStoredKey('gp_lastList', null) || { weekStart: null, items: [] };
+  }
+
+  /**
+   * Gather everything persisted into one object, as written to backups.
+   * @returns {Object}
+   */
+  function collectData() {
+    return {
+      schemaVersion,
+      recipes,
+      pantry,
+      weeks,
+      lastList,
+      densities,
+      catalog,
+      nutrients,
+      prices,
+      staples,
+      listHistory,
+      cookLog,
+      settings,
+      templates,
+    };
+  }
+
+  /**
+   * Replace the in-memory data with the collections of a data object
+   * (see collectData).  Missing collections become empty.
+   * @param {Object} data
+   */
+  function applyData(data) {
+    recipes = data.recipes || [];
+    pantry = data.pantry || [];
+    weeks = data.weeks || {};
+    lastList = data.lastList || { weekStart: null, items: [] };
+    densities = data.densities || {};
+    catalog = data.catalog || [];
+    nutrients = data.nutrients || {};
+    prices = data.prices || {};
+    staples = data.staples || [];
+    listHistory = data.listHistory || [];
+    cookLog = data.cookLog || [];
+    settings = normaliseSettings(data.settings || {});
+    templates = data.templates || [];
+  }
+
+  /**
+   * Fill in any settings missing from a stored or imported settings
+   * object with their defaults.  `currency` is the symbol prices are
+   * shown with and `weeklyBudget` the spend to compare the list
+   * against (0 = none).
+   * @param {Object} stored
+   * @returns {Object}
+   */
+  function normaliseSettings(stored) {
+    const result = { ...stored };
+    if (!Array.isArray(result.mealSlots) || result.mealSlots.length === 0) {
+      result.mealSlots = defaultMealSlots.map((slot) => ({ ...slot }));
     }
-    try {
-      const w = localStorage.getItem('gp_weeks');
-      weeks = w ? JSON.parse(w) : {};
-    } catch (err) {
-      weeks = {};
+    // Slots saved before they had a time get the default one
+    result.mealSlots = result.mealSlots.map((slot) => {
+      if (/^\d{2}:\d{2}$/.test(slot.time)) return slot;
+      const preset = defaultMealSlots.find((d) => d.id === slot.id);
+      return { ...slot, time: preset ? preset.time : '12:00' };
+    });
+    result.autoFill = {
+      // Minimum number of days between two plannings of one recipe
+      noRepeatDays: 3,
+      preferExpiring: true,
+      // Most ingredients the week may need that the pantry lacks; 0 = no cap
+      maxNewIngredients: 0,
+      slots: ['breakfast', 'lunch', 'dinner'],
+      seed: 1,
+      ...(result.autoFill || {}),
+    };
+    if (!Array.isArray(result.sections) || result.sections.length === 0) {
+      result.sections = defaultSections.map((sec) => ({ ...sec }));
     }
-    try {
-      const ll = localStorage.getItem('gp_lastList');
-      lastList = ll ? JSON.parse(ll) : { weekStart: null, items: [] };
-    } catch (err) {
-      lastList = { weekStart: null, items: [] };
+    if (!Array.isArray(result.stores)) result.stores = [];
+    if (!result.stores.some((store) => store.id === result.activeStoreId)) result.activeStoreId = null;
+    if (typeof result.currency !== 'string') result.currency = '£';
+    if (!(result.weeklyBudget >= 0)) result.weeklyBudget = 0;
+    return result;
+  }
+
+  /**
+   * Upgrade weeks saved before slots could hold several dishes.  Each
+   * meal used to be { recipeId, servings, cooked }; it is now
+   * { dishes: [{ id, recipeId, servings, cooked }] }.
+   * @param {Object} weeksData Weeks keyed by start date, changed in place
+   */
+  function upgradeSlotDishes(weeksData) {
+    Object.values(weeksData || {}).forEach((wk) => {
+      if (!wk || typeof wk !== 'object') return;
+      Object.values(wk.days || {}).forEach((day) => {
+        if (!day || typeof day !== 'object') return;
+        if (!day.meals || typeof day.meals !== 'object') day.meals = {};
+        Object.keys(day.meals).forEach((slotId) => {
+          const meal = day.meals[slotId];
+          if (meal && Array.isArray(meal.dishes)) return;
+          day.meals[slotId] = {
+            dishes:
+              meal && meal.recipeId
+                ? [
+                    {
+                      id: generateId(),
+                      recipeId: meal.recipeId,
+                      servings: meal.servings || null,
+                      cooked: !!meal.cooked,
+                    },
+                  ]
+                : [],
+          };
+        });
+      });
+    });
+  }
+
+  /**
+   * Give records saved before a field existed its default value.
+   * @param {Object} data Data object, changed in place
+   */
+  function fillRecordDefaults(data) {
+    (data.recipes || []).forEach((recipe) => {
+      if (!recipe || typeof recipe !== 'object') return;
+      if (recipe.servings === undefined) recipe.servings = null;
+      if (!Array.isArray(recipe.tags)) recipe.tags = [];
+      if (!Array.isArray(recipe.mealSlots)) recipe.mealSlots = [];
+      if (!Array.isArray(recipe.ingredients)) recipe.ingredients = [];
+    });
+    (data.pantry || []).forEach((item) => {
+      if (!item || typeof item !== 'object') return;
+      if (item.bestBefore === undefined) item.bestBefore = null;
+      if (item.minQty === undefined) item.minQty = null;
+      if (item.targetQty === undefined) item.targetQty = null;
+    });
+    if (data.lastList && typeof data.lastList === 'object' && !Array.isArray(data.lastList.items)) data.lastList.items = [];
+  }
+
+  /**
+   * Run the migrations a data object needs to reach the current schema.
+   * @param {Object} data Data object (see collectData), changed in place
+   * @param {number} fromVersion Schema version the data was written with
+   * @returns {Object} The upgraded data, stamped with schemaVersion
+   */
+  function migrateData(data, fromVersion) {
+    migrations
+      .filter((step) => step.version > fromVersion && step.version <= schemaVersion)
+      .forEach((step) => step.migrate(data));
+    data.schemaVersion = schemaVersion;
+    return data;
+  }
+
+  /**
+   * Bring the data loaded from storage up to the current schema and
+   * report storage keys that could not be read.
+   * @param {number} stored Schema version the data was saved with
+   */
+  function upgradeStoredData(stored) {
+    if (stored > schemaVersion) {
+      alert('This data was saved by a newer version of the planner. Some of it may not show correctly.');
+    } else if (stored < schemaVersion) {
+      applyData(migrateData(collectData(), stored));
+      saveData('upgrade saved data');
+    }
+    if (remapUnknownSections() > 0) saveData('move items to known sections');
+    if (loadProblems.length > 0) {
+      alert(
+        `Some saved data could not be read and was set aside: ${loadProblems.join(', ')}.\n` +
+          'A copy of each is kept in localStorage under the same name ending in "_unreadable".',
+      );
+    }
+  }
+
+  /**
+   * Split a data object into storage records.  Each record of a 'list'
+   * collection is stored as `<collection>/<id>` with the order of ids
+   * kept in `<collection>/#order`; tables store `<collection>/<key>`
+   * and single collections `<collection>`.
+   * @param {Object} data Data object (see collectData)
+   * @returns {Map<string, string>} Record key to JSON value
+   */
+  function storageEntries(data) {
+    return collectionEntries(data, allRecordGroups());
+  }
+
+  /**
+   * Names of every group of storage records: the schema version and
+   * each stored collection.
+   * @returns {string[]}
+   */
+  function allRecordGroups() {
+    return ['schemaVersion', ...storedCollections.map((col) => col.name)];
+  }
+
+  /**
+   * Storage records of some collections only (see storageEntries).
+   * @param {Object} data Data object (see collectData)
+   * @param {string[]} names Collection names, and 'schemaVersion' for
+   *   the version stamp
+   * @returns {Map<string, string>} Record key to JSON value
+   */
+  function collectionEntries(data, names) {
+    const entries = new Map();
+    if (names.includes('schemaVersion')) entries.set('schemaVersion', JSON.stringify(data.schemaVersion));
+    storedCollections.forEach((col) => {
+      if (!names.includes(col.name)) return;
+      const value = data[col.name];
+      if (col.kind === 'single') {
+        entries.set(col.name, JSON.stringify(value));
+      } else if (col.kind === 'table') {
+        Object.keys(value).forEach((key) => entries.set(`${col.name}/${key}`, JSON.stringify(value[key])));
+      } else {
+        const idField = col.idField || 'id';
+        value.forEach((record) => entries.set(`${col.name}/${record[idField]}`, JSON.stringify(record)));
+        entries.set(`${col.name}/#order`, JSON.stringify(value.map((record) => record[idField])));
+      }
+    });
+    return entries;
+  }
+
+  /**
+   * Rebuild a data object from storage records (see storageEntries).
+   * Records that are not valid JSON are skipped, copied to localStorage
+   * as `<key>_unreadable` and noted in `loadProblems`, as in
+   * readStoredKey.
+   * @param {Map<string, string>} entries
+   * @returns {Object}
+   */
+  function dataFromEntries(entries) {
+    const parse = (key) => {
+      try {
+        return JSON.parse(entries.get(key));
+      } catch (err) {
+        localStorage.setItem(`${key}_unreadable`, entries.get(key));
+        loadProblems.push(key);
+        return undefined;
+      }
+    };
+    const data = { schemaVersion: entries.has('schemaVersion') ? parse('schemaVersion') : 1 };
+    storedCollections.forEach((col) => {
+      if (col.kind === 'single') {
+        if (entries.has(col.name)) data[col.name] = parse(col.name);
+        return;
+      }
+      const prefix = `${col.name}/`;
+      const records = {};
+      entries.forEach((json, key) => {
+        if (!key.startsWith(prefix) || key === `${prefix}#order`) return;
+        const record = parse(key);
+        if (record !== undefined) records[key.slice(prefix.length)] = record;
+      });
+      if (col.kind === 'table') {
+        data[col.name] = records;
+        return;
+      }
+      // Lists come back in their saved order; strays go at the end
+      const order = entries.has(`${prefix}#order`) ? parse(`${prefix}#order`) || [] : [];
+      const ids = order.map(String).filter((id) => records[id] !== undefined);
+      Object.keys(records).forEach((id) => {
+        if (!ids.includes(id)) ids.push(id);
+      });
+      data[col.name] = ids.map((id) => records[id]);
+    });
+    return data;
+  }
+
+  /**
+   * Storage adapter keeping each collection whole in its `gp_*`
+   * localStorage key, as the planner always has.  Used where IndexedDB
+   * is unavailable.
+   * @returns {Object} Adapter with `name`, `load()` and `write(changes)`;
+   *   `load()` resolves to { data, migrated, sync }
+   */
+  function createLocalStorageAdapter() {
+    return {
+      name: 'localStorage',
+      load() {
+        loadData();
+        const version = parseInt(localStorage.getItem('gp_schemaVersion'), 10) || 1;
+        return Promise.resolve({
+          data: { ...collectData(), schemaVersion: version },
+          migrated: false,
+          sync: readStoredKey('gp_sync', null),
+        });
+      },
+      write(changes) {
+        // Rewrite every collection with a changed record
+        const data = collectData();
+        const touched = new Set(changes.map((change) => change.key.split('/')[0]));
+        touched.forEach((name) => {
+          if (name === 'schemaVersion') {
+            localStorage.setItem('gp_schemaVersion', String(schemaVersion));
+            return;
+          }
+          const col = storedCollections.find((c) => c.name === name);
+          if (col) {
+            localStorage.setItem(col.key, JSON.stringify(data[name]));
+            return;
+          }
+          // Records kept outside the data, such as the sync state
+          const change = changes.find((c) => c.key === name);
+          if (change.json === null) localStorage.removeItem(`gp_${name}`);
+          else localStorage.setItem(`gp_${name}`, change.json);
+        });
+        return Promise.resolve();
+      },
+    };
+  }
+
+  /**
+   * Storage adapter writing single records to an IndexedDB object store
+   * ("records", keyed as in storageEntries).  On first use it takes
+   * over the data in the `gp_*` localStorage keys.  `write(changes,
+   * { replace: true })` clears the store first, for that full copy.
+   * @param {IDBDatabase} db
+   * @returns {Object} Adapter with `name`, `load()` and `write(changes)`
+   */
+  function createIndexedDbAdapter(db) {
+    const request = (req) =>
+      new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    return {
+      name: 'IndexedDB',
+      load() {
+        const store = db.transaction('records', 'readonly').objectStore('records');
+        return Promise.all([request(store.getAllKeys()), request(store.getAll())]).then(([keys, values]) => {
+          if (!keys.includes('schemaVersion')) {
+            // Nothing stored yet: start from the localStorage keys, which
+            // are cleared once everything has been copied here
+            loadData();
+            const version = parseInt(localStorage.getItem('gp_schemaVersion'), 10) || 1;
+            return { data: { ...collectData(), schemaVersion: version }, migrated: true, sync: null };
+          }
+          const entries = new Map();
+          keys.forEach((key, i) => entries.set(key, values[i]));
+          const sync = entries.has('sync') ? JSON.parse(entries.get('sync')) : null;
+          return { data: dataFromEntries(entries), migrated: false, sync };
+        });
+      },
+      write(changes, { replace = false } = {}) {
+        return new Promise((resolve, reject) => {
+          const tx = db.transaction('records', 'readwrite');
+          const store = tx.objectStore('records');
+          // A full copy replaces whatever an earlier attempt left behind
+          if (replace) store.clear();
+          changes.forEach((change) => {
+            if (change.json === null) store.delete(change.key);
+            else store.put(change.json, change.key);
+          });
+          tx.oncomplete = () => resolve();
+          tx.onerror = () => reject(tx.error);
+          tx.onabort = () => reject(tx.error);
+        });
+      },
+    };
+  }
+
+  /**
+   * Pick the storage adapter: IndexedDB when it can be opened, the
+   * localStorage adapter otherwise (old browsers, some private modes).
+   * @returns {Promise<Object>}
+   */
+  function openStorage() {
+    if (!window.indexedDB) return Promise.resolve(createLocalStorageAdapter());
+    return new Promise((resolve) => {
+      let req;
+      try {
+        req = indexedDB.open('grocery-planner', 1);
+      } catch (err) {
+        resolve(createLocalStorageAdapter());
+        return;
+      }
+      req.onupgradeneeded = () => req.result.createObjectStore('records');
+      req.onsuccess = () => resolve(createIndexedDbAdapter(req.result));
+      req.onerror = () => resolve(createLocalStorageAdapter());
+      req.onblocked = () => resolve(createLocalStorageAdapter());
+    });
+  }
+
+  /**
+   * Remove the `gp_*` localStorage keys once their data lives in
+   * IndexedDB.  Copies of unreadable values are left alone.
+   */
+  function clearLegacyStorage() {
+    localStorage.removeItem('gp_schemaVersion');
+    storedCollections.forEach((col) => localStorage.removeItem(col.key));
+  }
+
+  /**
+   * List the records of some collections that differ between a full set
+   * of storage entries and fresh entries for those collections.
+   * @param {Map<string, string>} before Every record
+   * @param {Map<string, string>} after Records of the named collections
+   * @param {string[]} names Collections `after` covers (see
+   *   collectionEntries)
+   * @returns {Array<Object>} { key, before, after } with null for a
+   *   record missing on that side
+   */
+  function diffEntries(before, after, names) {
+    const changes = [];
+    after.forEach((json, key) => {
+      if (before.get(key) !== json) changes.push({ key, before: before.has(key) ? before.get(key) : null, after: json });
+    });
+    before.forEach((json, key) => {
+      if (!after.has(key) && names.includes(key.split('/')[0])) changes.push({ key, before: json, after: null });
+    });
+    return changes;
+  }
+
+  /**
+   * Apply changes from diffEntries to a set of storage entries, in place.
+   * @param {Map<string, string>} entries
+   * @param {Array<Object>} changes
+   */
+  function updateEntries(entries, changes) {
+    changes.forEach((change) => {
+      if (change.after === null) entries.delete(change.key);
+      else entries.set(change.key, change.after);
+    });
+  }
+
+  /**
+   * Persist in‑memory data.  Only the collections named in `touched` are
+   * serialised, so a tick on the list does not re-encode every recipe
+   * and week; of those, only records that changed since the last save
+   * are written, through the active storage adapter, and the change is
+   * added to the undo history.
+   * @param {string} [label] What the change did, shown on the Undo button
+   * @param {string[]} [touched] Collections the change may have altered
+   *   (see storedCollections); all of them when omitted
+   * @returns {Promise} Settles once the write is stored
+   */
+  function saveData(label = 'Edit', touched = allRecordGroups()) {
+    const entries = collectionEntries(collectData(), touched);
+    if (undoBase) {
+      const undoChanges = diffEntries(undoBase, entries, touched);
+      if (undoChanges.length > 0) {
+        undoStack.push({ label, changes: undoChanges });
+        if (undoStack.length > undoLimit) undoStack.shift();
+        redoStack = [];
+        renderUndoControls();
+      }
+      updateEntries(undoBase, undoChanges);
     }
+    const diff = diffEntries(persisted, entries, touched);
+    updateEntries(persisted, diff);
+    if (syncState && !syncApplying) noteLocalChanges(diff);
+    if (diff.length === 0) return Promise.resolve();
+    const changes = diff.map((change) => ({ key: change.key, json: change.after }));
+    return storage.write(changes).catch((err) => {
+      // Write these records again with the next save
+      changes.forEach((change) => persisted.delete(change.key));
+      showToast(`Could not save changes: ${err && err.name ? err.name : 'storage error'}`, 6000);
+    });
+  }
+
+  /**
+   * Move one change from one history stack to the other, restoring the
+   * records as they were before (undo) or after (redo) it.
+   * @param {Array<Object>} from Stack to take the change from
+   * @param {Array<Object>} to Stack to put it on
+   * @param {string} side 'before' or 'after'
+   * @returns {Object|null} The change, or null if there was none
+   */
+  function stepHistory(from, to, side) {
+    const entry = from.pop();
+    if (!entry) return null;
+    const entries = new Map(undoBase);
+    entry.changes.forEach((change) => {
+      if (change[side] === null) entries.delete(change.key);
+      else entries.set(change.key, change[side]);
+    });
+    restoreEntries(entries);
+    to.push(entry);
+    renderUndoControls();
+    return entry;
+  }
+
+  /**
+   * Replace the in-memory data with a set of storage records, save it
+   * without adding to the undo history and redraw every view.
+   * @param {Map<string, string>} entries See storageEntries
+   */
+  function restoreEntries(entries) {
+    applyData(dataFromEntries(entries));
+    const recording = undoBase !== null;
+    undoBase = null;
+    saveData('restore');
+    if (recording) undoBase = storageEntries(collectData());
+    pendingMove = null;
+    refreshAllViews();
+    if (!document.getElementById('history').classList.contains('section-hidden')) renderHistory();
+  }
+
+  /**
+   * Undo the most recent change.
+   */
+  function undoChange() {
+    const entry = stepHistory(undoStack, redoStack, 'before');
+    if (entry) showToast(`Undone: ${entry.label}`);
+  }
+
+  /**
+   * Redo the most recently undone change.
+   */
+  function redoChange() {
+    const entry = stepHistory(redoStack, undoStack, 'after');
+    if (entry) showToast(`Redone: ${entry.label}`);
   }
 
   /**
-   * Persist in‑memory data back to localStorage.
+   * Show a toast for the change just saved with an inline Undo button.
+   * The button only undoes that change; once something newer has been
+   * saved the toolbar has to be used instead.
+   * @param {string} message
    */
-  function saveData() {
-    localStorage.setItem('gp_recipes', JSON.stringify(recipes));
-    localStorage.setItem('gp_pantry', JSON.stringify(pantry));
-    localStorage.setItem('gp_weeks', JSON.stringify(weeks));
-    // Also persist last generated list separately if present
-    if (lastList && lastList.items) {
-      localStorage.setItem('gp_lastList', JSON.stringify(lastList));
+  function showUndoToast(message) {
+    const entry = undoStack[undoStack.length - 1];
+    if (!entry) {
+      showToast(message);
+      return;
     }
+    showToast(message, 6000, {
+      label: 'Undo',
+      onClick: () => {
+        if (undoStack[undoStack.length - 1] === entry) undoChange();
+        else showToast('Later changes were made since; use the Undo button to step back.', 4000);
+      },
+    });
+  }
+
+  /**
+   * Enable the Undo and Redo toolbar buttons and name what they would do.
+   */
+  function renderUndoControls() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    const nextUndo = undoStack[undoStack.length - 1];
+    const nextRedo = redoStack[redoStack.length - 1];
+    undoBtn.disabled = !nextUndo;
+    redoBtn.disabled = !nextRedo;
+    undoBtn.title = nextUndo ? `Undo: ${nextUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+    redoBtn.title = nextRedo ? `Redo: ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+  }
+
+  /**
+   * Wire up the Undo/Redo buttons and keyboard shortcuts.  Inside text
+   * fields the shortcuts are left to the browser's own text undo.
+   */
+  function setupUndo() {
+    document.getElementById('undo-btn').addEventListener('click', undoChange);
+    document.getElementById('redo-btn').addEventListener('click', redoChange);
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key !== 'z' && key !== 'y') return;
+      const target = e.target;
+      const editsText =
+        target.tagName === 'TEXTAREA' ||
+        target.isContentEditable ||
+        (target.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit', 'reset'].includes(target.type));
+      if (editsText) return;
+      e.preventDefault();
+      if (key === 'y' || e.shiftKey) redoChange();
+      else undoChange();
+    });
+    renderUndoControls();
   }
 
   /**
-   * Populate a select element with unit options.
+   * Populate a select element with unit options, grouped by the kind
+   * of quantity they measure.
    * @param {HTMLSelectElement} select
    */
   function populateUnitSelect(select) {
     // Clear current options
     select.innerHTML = '';
-    units.forEach((u) => {
-      const opt = document.createElement('option');
-      opt.value = u.id;
-      opt.textContent = u.name;
-      select.appendChild(opt);
+    [
+      { type: 'mass', label: 'Weight' },
+      { type: 'volume', label: 'Volume' },
+      { type: null, label: 'Count' },
+    ].forEach((group) => {
+      const optGroup = document.createElement('optgroup');
+      optGroup.label = group.label;
+      units
+        .filter((u) => u.type === group.type)
+        .forEach((u) => {
+          const opt = document.createElement('option');
+          opt.value = u.id;
+          opt.textContent = u.name;
+          optGroup.appendChild(opt);
+        });
+      select.appendChild(optGroup);
     });
   }
 
@@ -121,7 +895,7 @@ document.addEventListener('DOMContentLoaded', () => {
    */
   function populateSectionSelect(select) {
     select.innerHTML = '';
-    sections.forEach((s) => {
+    settings.sections.forEach((s) => {
       const opt = document.createElement('option');
       opt.value = s.id;
       opt.textContent = s.name;
@@ -129,6 +903,60 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  /**
+   * Sections in the aisle order of a store profile.  Sections the
+   * profile does not mention (e.g. added later) follow in the order of
+   * the section list.
+   * @param {string|null} storeId Store profile, or null for the plain
+   *   section list order
+   * @returns {Object[]}
+   */
+  function getSectionOrder(storeId) {
+    const store = settings.stores.find((st) => st.id === storeId);
+    if (!store) return settings.sections.slice();
+    const ordered = store.order
+      .map((id) => settings.sections.find((sec) => sec.id === id))
+      .filter((sec) => sec);
+    return ordered.concat(settings.sections.filter((sec) => !store.order.includes(sec.id)));
+  }
+
+  /**
+   * Point everything filed under one section at another: recipe
+   * ingredients, pantry items, catalog entries and grocery lines.
+   * @param {Function} mapSection `(sectionId)` returning the section id
+   *   to use instead, or the same id to leave it alone
+   * @returns {number} How many references changed
+   */
+  function remapSections(mapSection) {
+    let changed = 0;
+    const remap = (obj) => {
+      if (!obj) return;
+      const next = mapSection(obj.sectionId);
+      if (next !== obj.sectionId) {
+        obj.sectionId = next;
+        changed++;
+      }
+    };
+    recipes.forEach((r) => r.ingredients.forEach(remap));
+    pantry.forEach(remap);
+    catalog.forEach(remap);
+    staples.forEach(remap);
+    if (lastList && lastList.items) lastList.items.forEach(remap);
+    carriedItems.forEach(remap);
+    return changed;
+  }
+
+  /**
+   * Move references to sections that no longer exist (for example from
+   * an older backup) into "Misc", or the first section when that is
+   * gone too, so nothing drops out of the store order.
+   * @returns {number} How many references changed
+   */
+  function remapUnknownSections() {
+    const fallback = settings.sections.find((sec) => sec.id === 'misc') || settings.sections[0];
+    return remapSections((id) => (settings.sections.some((sec) => sec.id === id) ? id : fallback.id));
+  }
+
   /**
    * Generate a unique identifier.  We use a timestamp and a random
    * suffix so that recipe and pantry ids are stable across sessions.
@@ -153,17 +981,44 @@ document.addEventListener('DOMContentLoaded', () => {
     return monday.toISOString().substr(0, 10);
   }
 
+  /**
+   * Format an ISO date as a short day label, e.g. "Mon 25/09".
+   * @param {string} date ISO date string
+   * @returns {string}
+   */
+  function formatDayLabel(date) {
+    const d = new Date(date + 'T00:00:00');
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    return `${dayNames[d.getDay()]} ${d.getDate().toString().padStart(2, '0')}/${(d.getMonth() + 1)
+      .toString()
+      .padStart(2, '0')}`;
+  }
+
   /**
    * Show a transient toast notification at the bottom of the page.
    * @param {string} message The message to display.
    * @param {number} duration Duration in ms before removal (default 3000).
+   * @param {Object} [action] Optional button: { label, onClick }.
    */
-  function showToast(message, duration = 3000) {
+  function showToast(message, duration = 3000, action = null) {
     const container = document.getElementById('toast-container');
     if (!container) return;
     const div = document.createElement('div');
     div.className = 'toast';
     div.textContent = message;
+    if (action) {
+      // Toasts with a button stay visible until they time out
+      div.classList.add('has-action');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.classList.add('toast-action');
+      btn.textContent = action.label;
+      btn.addEventListener('click', () => {
+        div.remove();
+        action.onClick();
+      });
+      div.appendChild(btn);
+    }
     container.appendChild(div);
     setTimeout(() => {
       div.remove();
@@ -171,839 +1026,4927 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   /**
-   * Convert between compatible units (grams/kilograms, millilitres/litres).
-   * Returns the converted value or null if conversion is not supported.
+   * Reduce an English noun phrase to its singular form by stripping
+   * the plural ending from the last word ("cherry tomatoes" becomes
+   * "cherry tomato").  Only the common regular endings are handled.
+   * @param {string} phrase Lowercase ingredient name
+   * @returns {string}
+   */
+  function singularise(phrase) {
+    return phrase.replace(/([a-z]+)$/, (word) => {
+      if (word.length <= 3) return word;
+      if (/ies$/.test(word)) return word.slice(0, -3) + 'y';
+      if (/(oes|ches|shes|xes|sses)$/.test(word)) return word.slice(0, -2);
+      if (/[^su]s$/.test(word)) return word.slice(0, -1);
+      return word;
+    });
+  }
+
+  /**
+   * Normalise an ingredient name for comparison: lowercase, collapsed
+   * whitespace and singular.
+   * @param {string} name
+   * @returns {string}
+   */
+  function normaliseIngredientName(name) {
+    return singularise((name || '').trim().toLowerCase().replace(/\s+/g, ' '));
+  }
+
+  /**
+   * Find the catalog entry an ingredient name refers to, matching the
+   * canonical name or any alias regardless of case or plural form.
+   * @param {string} name
+   * @returns {Object|undefined}
+   */
+  function findCatalogEntry(name) {
+    const norm = normaliseIngredientName(name);
+    if (!norm) return undefined;
+    return catalog.find(
+      (entry) =>
+        normaliseIngredientName(entry.name) === norm ||
+        (entry.aliases || []).some((a) => normaliseIngredientName(a) === norm),
+    );
+  }
+
+  /**
+   * Key identifying an ingredient across recipes, the pantry and the
+   * grocery list.  Names in the catalog resolve to their entry; other
+   * names fall back to their normalised spelling.
+   * @param {string} name
+   * @returns {string}
+   */
+  function ingredientKey(name) {
+    const entry = findCatalogEntry(name);
+    return entry ? `#${entry.id}` : normaliseIngredientName(name);
+  }
+
+  /**
+   * Look up the density of an ingredient in grams per millilitre.
+   * User-defined densities take precedence over the built-in table.
+   * @param {string} ingredientName
+   * @returns {number|null} Density, or null when unknown
+   */
+  function getDensity(ingredientName) {
+    if (!ingredientName) return null;
+    // Try the name as written, then its catalog entry's canonical name
+    const entry = findCatalogEntry(ingredientName);
+    const keys = [ingredientName.trim().toLowerCase()];
+    if (entry) keys.push(entry.name.toLowerCase());
+    const found = keys.find((k) => densities[k] > 0 || defaultDensities[k] > 0);
+    if (!found) return null;
+    return densities[found] > 0 ? densities[found] : defaultDensities[found];
+  }
+
+  /**
+   * Convert a quantity between units.  Units of the same type (mass or
+   * volume) always convert; mass and volume convert into each other
+   * when the ingredient's density is known.  Returns the converted
+   * value or null if conversion is not supported.
    * @param {number} value
    * @param {string} fromUnit
    * @param {string} toUnit
+   * @param {string} [ingredientName] Needed for mass↔volume conversion
    */
-  function convertUnit(value, fromUnit, toUnit) {
+  function convertUnit(value, fromUnit, toUnit, ingredientName) {
     if (fromUnit === toUnit) return value;
-    const conversions = {
-      g: { kg: (v) => v / 1000 },
-      kg: { g: (v) => v * 1000 },
-      ml: { l: (v) => v / 1000 },
-      l: { ml: (v) => v * 1000 },
-    };
-    if (conversions[fromUnit] && conversions[fromUnit][toUnit]) {
-      return conversions[fromUnit][toUnit](value);
+    const from = units.find((u) => u.id === fromUnit);
+    const to = units.find((u) => u.id === toUnit);
+    if (!from || !to || !from.type || !to.type) return null;
+    // Express the value in the base unit of its type (g or ml)
+    let base = value * from.toBase;
+    if (from.type !== to.type) {
+      const density = getDensity(ingredientName);
+      if (!density) return null;
+      base = from.type === 'volume' ? base * density : base / density;
     }
-    return null;
+    return base / to.toBase;
   }
 
   /**
-   * Ensure a week object exists in `weeks` for the given start date.
-   * If not present, create a new week skeleton with seven days and
-   * empty meals.
-   * @param {string} weekStart ISO date string (Monday)
+   * Total quantity of an ingredient held in the pantry, expressed in the
+   * given unit.  Pantry entries match by ingredient (see ingredientKey)
+   * and are converted where possible (density permitting); entries in
+   * incompatible units are ignored.
+   * @param {string} name Ingredient name
+   * @param {string} unitId Unit to express the total in
+   * @returns {number}
    */
-  function ensureWeek(weekStart) {
-    if (!weeks[weekStart]) {
-      const weekObj = { days: {} };
-      const start = new Date(weekStart);
-      for (let i = 0; i < 7; i++) {
-        const date = new Date(start);
-        date.setDate(start.getDate() + i);
-        const iso = date.toISOString().substr(0, 10);
-        weekObj.days[iso] = {
-          meals: {
-            breakfast: { recipeId: null },
-            lunch: { recipeId: null },
-            dinner: { recipeId: null },
-            snack: { recipeId: null },
-            drinks: { recipeId: null },
-          },
-        };
-      }
-      weeks[weekStart] = weekObj;
+  function getPantryQuantity(name, unitId) {
+    const key = ingredientKey(name);
+    let total = 0;
+    pantry.forEach((p) => {
+      if (ingredientKey(p.name) !== key) return;
+      const converted = convertUnit(parseFloat(p.qty || 0), p.unitId, unitId, name);
+      if (converted !== null) total += converted;
+    });
+    return total;
+  }
+
+  /**
+   * Work out how much to scale a recipe's ingredients for a planned
+   * meal.  Each plan slot may ask for a number of servings; dividing
+   * that by the recipe's yield gives the multiplier.  When either value
+   * is missing the recipe is cooked as a single batch.
+   * @param {Object} meal Planned dish { recipeId, servings }
+   * @param {Object} recipe Recipe referenced by the dish
+   * @returns {number}
+   */
+  function getServingScale(meal, recipe) {
+    const wanted = parseFloat(meal.servings);
+    const yieldServings = parseFloat(recipe.servings);
+    if (wanted > 0 && yieldServings > 0) {
+      return wanted / yieldServings;
     }
+    return 1;
   }
 
   /**
-   * Render the weekly plan table for the selected week.
-   * @param {string} weekStart
+   * Look up an ingredient in the nutrient table, by its own name first
+   * and then by its catalog entry's canonical name.
+   * @param {string} ingredientName
+   * @returns {Object|null}
    */
-  function renderPlan(weekStart) {
-    ensureWeek(weekStart);
-    const planContainer = document.getElementById('plan-container');
-    planContainer.innerHTML = '';
-    const table = document.createElement('table');
-    table.classList.add('meal-table');
+  function getNutrientEntry(ingredientName) {
+    if (!ingredientName) return null;
+    const entry = findCatalogEntry(ingredientName);
+    const keys = [normaliseIngredientName(ingredientName)];
+    if (entry) keys.push(normaliseIngredientName(entry.name));
+    const found = keys.find((k) => nutrients[k]);
+    return found ? nutrients[found] : null;
+  }
 
-    // Header row
-    const thead = document.createElement('thead');
-    const hr = document.createElement('tr');
-    hr.appendChild(document.createElement('th')); // Empty corner cell
-    ['Breakfast', 'Lunch', 'Dinner', 'Snack', 'Drinks'].forEach((m) => {
-      const th = document.createElement('th');
-      th.textContent = m;
-      hr.appendChild(th);
-    });
-    thead.appendChild(hr);
-    table.appendChild(thead);
-
-    const tbody = document.createElement('tbody');
-    const days = weeks[weekStart].days;
-    const dayKeys = Object.keys(days).sort();
-    dayKeys.forEach((date) => {
-      const row = document.createElement('tr');
-      const dayCell = document.createElement('td');
-      // Format date as e.g. Mon 25/09
-      const d = new Date(date + 'T00:00:00');
-      const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-      const label = `${dayNames[d.getDay()]} ${d.getDate().toString().padStart(2, '0')}/${(d.getMonth() + 1)
-        .toString()
-        .padStart(2, '0')}`;
-      dayCell.textContent = label;
-      row.appendChild(dayCell);
-      // For each meal
-      ['breakfast', 'lunch', 'dinner', 'snack', 'drinks'].forEach(
-        (mealKey) => {
-          const cell = document.createElement('td');
-          const select = document.createElement('select');
-          // Add default option
-          const noneOpt = document.createElement('option');
-          noneOpt.value = '';
-          noneOpt.textContent = '-- Select --';
-          select.appendChild(noneOpt);
-          // Populate recipe options
-          recipes.forEach((recipe) => {
-            const opt = document.createElement('option');
-            opt.value = recipe.id;
-            opt.textContent = recipe.title;
-            select.appendChild(opt);
-          });
-          // Set current value
-          select.value = days[date].meals[mealKey].recipeId || '';
-          // Listener to update data
-          select.addEventListener('change', () => {
-            days[date].meals[mealKey].recipeId = select.value || null;
-            saveData();
-          });
-          cell.appendChild(select);
-          row.appendChild(cell);
-        },
-      );
-      tbody.appendChild(row);
+  /**
+   * Nutrition for one recipe ingredient.  The quantity is converted to
+   * the unit the table entry is given per (densities permitting); count
+   * units need the entry's weight per piece.
+   * @param {Object} ing Ingredient { name, qty, unitId }
+   * @returns {Object|null} Values keyed by nutrient id, or null when
+   *   the ingredient is missing from the table or cannot be converted
+   */
+  function getIngredientNutrition(ing) {
+    const entry = getNutrientEntry(ing.name);
+    if (!entry) return null;
+    const qty = parseFloat(ing.qty || 0);
+    let amount = convertUnit(qty, ing.unitId, entry.per, ing.name);
+    if (amount === null && entry.pieceGrams > 0) {
+      const unitObj = units.find((u) => u.id === ing.unitId);
+      if (unitObj && !unitObj.type) {
+        amount = convertUnit(qty * entry.pieceGrams, 'g', entry.per, ing.name);
+      }
+    }
+    if (amount === null) return null;
+    const values = {};
+    nutrientFields.forEach((field) => {
+      values[field.id] = ((parseFloat(entry[field.id]) || 0) * amount) / 100;
     });
-    table.appendChild(tbody);
-    planContainer.appendChild(table);
+    return values;
   }
 
   /**
-   * Render the list of saved recipes in the Recipes section.
+   * Add up the nutrition of a recipe's ingredients.
+   * @param {Object} recipe
+   * @param {number} [scale] Multiplier applied to every quantity
+   * @returns {{values: Object, missing: string[]}} Totals keyed by
+   *   nutrient id, and the names of ingredients left out of them
    */
-  function renderRecipeList() {
-    const listEl = document.getElementById('recipe-list');
-    listEl.innerHTML = '';
-    recipes.forEach((recipe) => {
-      const li = document.createElement('li');
-      // Title span
-      const span = document.createElement('span');
-      span.textContent = recipe.title;
-      span.style.cursor = 'pointer';
-      span.title = 'Click to edit';
-      span.addEventListener('click', () => {
-        // Load recipe into form for editing
-        editingRecipeId = recipe.id;
-        // Populate form fields
-        document.getElementById('recipe-title').value = recipe.title;
-        document.getElementById('recipe-instructions').value = recipe.instructions;
-        const container = document.getElementById('ingredients-container');
-        container.innerHTML = '';
-        recipe.ingredients.forEach((ing) => {
-          // Add a row prefilled
-          const row = document.createElement('div');
-          row.classList.add('ingredient-row');
-          const nameInput = document.createElement('input');
-          nameInput.type = 'text';
-          nameInput.value = ing.name;
-          nameInput.required = true;
-          row.appendChild(nameInput);
-          const qtyInput = document.createElement('input');
-          qtyInput.type = 'number';
-          qtyInput.min = '0';
-          qtyInput.step = 'any';
-          qtyInput.value = ing.qty;
-          qtyInput.required = true;
-          row.appendChild(qtyInput);
-          const unitSelect = document.createElement('select');
-          populateUnitSelect(unitSelect);
-          unitSelect.value = ing.unitId;
-          row.appendChild(unitSelect);
-          const sectionSelect = document.createElement('select');
-          populateSectionSelect(sectionSelect);
-          sectionSelect.value = ing.sectionId;
-          row.appendChild(sectionSelect);
-          const removeBtn = document.createElement('button');
-          removeBtn.type = 'button';
-          removeBtn.classList.add('close-btn');
-          removeBtn.setAttribute('aria-label', 'Remove ingredient');
-          removeBtn.textContent = '✕';
-          removeBtn.addEventListener('click', () => {
-            container.removeChild(row);
-          });
-          row.appendChild(removeBtn);
-          container.appendChild(row);
-        });
-        // Show cancel editing button and change save button text
-        document.getElementById('cancel-edit').classList.remove('section-hidden');
-        document.querySelector('#recipe-form button.primary').textContent = 'Save Changes';
-        // Switch to Recipes section
-        document.querySelectorAll('nav button').forEach((b) => b.classList.remove('active'));
-        document.querySelector('nav button[data-section="recipes"]').classList.add('active');
-        document.querySelectorAll('main > section').forEach((sec) => sec.classList.add('section-hidden'));
-        document.getElementById('recipes').classList.remove('section-hidden');
-      });
-      li.appendChild(span);
-      // Delete button
-      const delBtn = document.createElement('button');
-      delBtn.classList.add('close-btn');
-      delBtn.title = 'Delete recipe';
-      delBtn.setAttribute('aria-label', `Delete recipe: ${recipe.title}`);
-      delBtn.textContent = '✕';
-      delBtn.addEventListener('click', () => {
-        if (
-          confirm(
-            `Are you sure you want to delete the recipe "${recipe.title}"?`,
-          )
-        ) {
-          // Remove from recipes
-          recipes = recipes.filter((r) => r.id !== recipe.id);
-          // Remove from any week plans referencing this recipe
-          Object.values(weeks).forEach((wk) => {
-            Object.values(wk.days).forEach((day) => {
-              Object.keys(day.meals).forEach((mealKey) => {
-                if (day.meals[mealKey].recipeId === recipe.id) {
-                  day.meals[mealKey].recipeId = null;
-                }
-              });
-            });
-          });
-          saveData();
-          renderRecipeList();
-          // Re‑render plan with current weekStart
-          const weekStart = document.getElementById('week-start').value;
-          if (weekStart) {
-            renderPlan(getWeekStart(weekStart));
-          }
-          showToast(`Deleted recipe: ${recipe.title}`);
-        }
-      });
-      li.appendChild(delBtn);
-
-      // Instructions toggle button and container
-      // Only add if instructions exist
-      if (recipe.instructions && recipe.instructions.trim().length > 0) {
-        const infoBtn = document.createElement('button');
-        infoBtn.classList.add('info-btn');
-        infoBtn.setAttribute('aria-label', `Show instructions for ${recipe.title}`);
-        infoBtn.title = 'Show/hide instructions';
-        infoBtn.textContent = 'ℹ';
-        const instrDiv = document.createElement('div');
-        instrDiv.classList.add('recipe-instructions');
-        instrDiv.textContent = recipe.instructions;
-        instrDiv.style.display = 'none';
-        infoBtn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          const isHidden = instrDiv.style.display === 'none';
-          instrDiv.style.display = isHidden ? 'block' : 'none';
-          // Optionally toggle icon orientation
-          infoBtn.textContent = isHidden ? '▼' : 'ℹ';
-        });
-        li.appendChild(infoBtn);
-        li.appendChild(instrDiv);
+  function getRecipeNutrition(recipe, scale = 1) {
+    const result = { values: {}, missing: [] };
+    nutrientFields.forEach((field) => {
+      result.values[field.id] = 0;
+    });
+    recipe.ingredients.forEach((ing) => {
+      const values = getIngredientNutrition(ing);
+      if (!values) {
+        result.missing.push(ing.name);
+        return;
       }
-      listEl.appendChild(li);
+      nutrientFields.forEach((field) => {
+        result.values[field.id] += values[field.id] * scale;
+      });
     });
+    return result;
   }
 
   /**
-   * Render the pantry list.
+   * Nutrition for one serving of a recipe.  Recipes without a yield
+   * count as a single serving.
+   * @param {Object} recipe
+   * @returns {{values: Object, missing: string[]}}
    */
-  function renderPantry() {
-    const listEl = document.getElementById('pantry-list');
-    listEl.innerHTML = '';
-    pantry.forEach((item) => {
-      const li = document.createElement('li');
-      const nameSpan = document.createElement('span');
-      // Compose display string: qty unit name (e.g. "2 cup flour")
-      const unitObj = units.find((u) => u.id === item.unitId);
-      const sectionObj = sections.find((s) => s.id === item.sectionId);
-      const expiryStr = item.bestBefore ? ` (bb ${item.bestBefore})` : '';
-      nameSpan.textContent = `${item.qty} ${unitObj ? unitObj.short : ''} ${
-        item.name
-      }${expiryStr}`;
-      li.appendChild(nameSpan);
-      const secSpan = document.createElement('span');
-      secSpan.textContent = sectionObj ? sectionObj.name : '';
-      secSpan.style.fontStyle = 'italic';
-      secSpan.style.fontSize = '0.8rem';
-      secSpan.style.color = 'var(--accent-dark)';
-      li.appendChild(secSpan);
-      // Edit button
-      const editBtn = document.createElement('button');
-      editBtn.classList.add('close-btn');
-      editBtn.title = 'Edit item';
-      editBtn.setAttribute('aria-label', `Edit item: ${item.name}`);
-      editBtn.textContent = '✎';
-      editBtn.addEventListener('click', () => {
-        // Load item into pantry form for editing
-        editingPantryId = item.id;
-        document.getElementById('pantry-name').value = item.name;
-        document.getElementById('pantry-qty').value = item.qty;
-        document.getElementById('pantry-unit').value = item.unitId;
-        document.getElementById('pantry-section').value = item.sectionId;
-        document.getElementById('pantry-date').value = item.bestBefore || '';
-        // Show cancel editing button and change submit button text
-        document.getElementById('cancel-pantry-edit').classList.remove('section-hidden');
-        document.getElementById('pantry-submit').textContent = 'Save Changes';
-        // Switch to Pantry tab
-        document.querySelectorAll('nav button').forEach((b) => b.classList.remove('active'));
-        document.querySelector('nav button[data-section="pantry"]').classList.add('active');
-        document.querySelectorAll('main > section').forEach((sec) => sec.classList.add('section-hidden'));
-        document.getElementById('pantry').classList.remove('section-hidden');
-      });
-      li.appendChild(editBtn);
-      // Delete button
-      const delBtn = document.createElement('button');
-      delBtn.classList.add('close-btn');
-      delBtn.title = 'Remove item';
-      delBtn.setAttribute('aria-label', `Remove item: ${item.name}`);
-      delBtn.textContent = '✕';
-      delBtn.addEventListener('click', () => {
-        pantry = pantry.filter((p) => p.id !== item.id);
-        saveData();
-        renderPantry();
-        // Notify the user
-        showToast(`Removed from pantry: ${item.name}`);
-      });
-      li.appendChild(delBtn);
-      listEl.appendChild(li);
-    });
+  function getServingNutrition(recipe) {
+    const yieldServings = parseFloat(recipe.servings);
+    return getRecipeNutrition(recipe, yieldServings > 0 ? 1 / yieldServings : 1);
   }
 
   /**
-   * Compute and render the grocery list for the selected week.
+   * Add one nutrition result into another, in place.
+   * @param {{values: Object, missing: string[]}} total
+   * @param {{values: Object, missing: string[]}} part
    */
-  function generateGroceryList() {
-    const weekStartInput = document.getElementById('week-start');
-    if (!weekStartInput.value) {
-      alert('Please select a week start date.');
-      return;
-    }
-    const weekStart = getWeekStart(weekStartInput.value);
-    ensureWeek(weekStart);
-    const week = weeks[weekStart];
-    const aggregated = {};
-    // Aggregate ingredients from recipes
-    Object.values(week.days).forEach((day) => {
-      Object.values(day.meals).forEach((meal) => {
-        if (meal.recipeId) {
-          const recipe = recipes.find((r) => r.id === meal.recipeId);
-          if (recipe) {
-            recipe.ingredients.forEach((ing) => {
-              const key = `${ing.name.toLowerCase()}|${ing.unitId}|${ing.sectionId}`;
-              if (!aggregated[key]) {
-                aggregated[key] = {
-                  name: ing.name,
-                  qty: parseFloat(ing.qty) || 0,
-                  unitId: ing.unitId,
-                  sectionId: ing.sectionId,
-                  covered: false,
-                };
-              } else {
-                aggregated[key].qty += parseFloat(ing.qty) || 0;
-              }
-            });
-          }
-        }
-      });
-    });
-    // Subtract pantry quantities, with unit conversions
-    Object.keys(aggregated).forEach((key) => {
-      const item = aggregated[key];
-      // Find matching pantry entries (same name, convertible units)
-      pantry.forEach((p) => {
-        if (p.name.toLowerCase() === item.name.toLowerCase()) {
-          if (p.unitId === item.unitId) {
-            item.qty -= parseFloat(p.qty || 0);
-          } else {
-            // Try converting pantry qty to item's unit
-            const converted = convertUnit(parseFloat(p.qty || 0), p.unitId, item.unitId);
-            if (converted !== null) {
-              item.qty -= converted;
-            }
-          }
-        }
-      });
-      if (item.qty <= 0) {
-        item.covered = true;
-        item.qty = 0;
-      }
-    });
-    // Build list items array, merging carriedItems and preserving previous check state
-    let items = Object.values(aggregated);
-    // Include carried over items if present
-    if (carriedItems && carriedItems.length > 0) {
-      carriedItems.forEach((ci) => {
-        // Attempt to find matching item by name and unit and section
-        const idx = items.findIndex(
-          (it) =>
-            it.name.toLowerCase() === ci.name.toLowerCase() &&
-            it.unitId === ci.unitId &&
-            it.sectionId === ci.sectionId,
-        );
-        if (idx >= 0) {
-          items[idx].qty += ci.qty;
-          items[idx].covered = false;
-        } else {
-          // Clone carried item and mark as not covered
-          items.push({ ...ci, covered: false, checked: ci.checked || false });
-        }
-      });
-    }
-    // Round quantities to 2 decimals
-    items.forEach((i) => {
-      i.qty = parseFloat(i.qty.toFixed(2));
+  function addNutrition(total, part) {
+    nutrientFields.forEach((field) => {
+      total.values[field.id] = (total.values[field.id] || 0) + part.values[field.id];
     });
-    // Remove any items that lack a valid name.  Old versions of the
-    // application may have persisted blank entries, which would
-    // otherwise appear as empty rows in the grocery list.  Skip
-    // entries with no name or only whitespace.
-    items = items.filter((i) => i.name && i.name.trim().length > 0);
-    // Restore checked state from previous last list if same item exists
-    items.forEach((i) => {
-      i.checked = false;
-      // Generate key to match previous list items
-      const key = `${i.name.toLowerCase()}|${i.unitId}|${i.sectionId}`;
-      if (lastList && lastList.items && lastList.weekStart === weekStart) {
-        const prev = lastList.items.find(
-          (pi) => `${pi.name.toLowerCase()}|${pi.unitId}|${pi.sectionId}` === key,
-        );
-        if (prev) {
-          i.checked = prev.checked;
-        }
-      }
+    part.missing.forEach((name) => {
+      if (!total.missing.includes(name)) total.missing.push(name);
     });
-    // Save lastList for this week
-    lastList = { weekStart, items };
-    saveData();
-    // Show list controls
-    document.getElementById('list-controls').classList.remove('section-hidden');
-    // Uncheck hide toggles by default
-    document.getElementById('hide-checked').checked = false;
-    document.getElementById('hide-covered').checked = true;
-    // Render interactive list
-    renderGroceryList();
-    showToast('Generated grocery list');
   }
 
   /**
-   * Attach event listeners for navigation buttons to switch between
-   * application sections.
+   * Format nutrient values for display, e.g. "520 kcal · P 31 g · C 48 g
+   * · F 17 g · Fibre 6 g".
+   * @param {Object} values Keyed by nutrient id
+   * @returns {string}
    */
-  function setupNavigation() {
-    const navButtons = document.querySelectorAll('nav button');
-    navButtons.forEach((btn) => {
-      btn.addEventListener('click', () => {
-        navButtons.forEach((b) => b.classList.remove('active'));
-        btn.classList.add('active');
-        const target = btn.getAttribute('data-section');
-        document
-          .querySelectorAll('main > section')
-          .forEach((sec) => sec.classList.add('section-hidden'));
-        document.getElementById(target).classList.remove('section-hidden');
-      });
-    });
+  function formatNutrition(values) {
+    return nutrientFields
+      .map((field) => {
+        const amount = Math.round(values[field.id] || 0);
+        if (field.id === 'kcal') return `${amount} kcal`;
+        const label = field.id === 'fibre' ? 'Fibre' : field.name.charAt(0);
+        return `${label} ${amount} ${field.unit}`;
+      })
+      .join(' · ');
   }
 
   /**
-   * Create a new empty ingredient row in the recipe form.
+   * Build the element showing a nutrition total, flagged when some
+   * ingredients had no nutrient data.
+   * @param {{values: Object, missing: string[]}} result
+   * @returns {HTMLElement}
    */
-  function addIngredientRow() {
-    const container = document.getElementById('ingredients-container');
-    const row = document.createElement('div');
-    row.classList.add('ingredient-row');
-    // Ingredient name
-    const nameInput = document.createElement('input');
-    nameInput.type = 'text';
-    nameInput.placeholder = 'Ingredient';
-    nameInput.required = true;
-    row.appendChild(nameInput);
-    // Quantity
-    const qtyInput = document.createElement('input');
-    qtyInput.type = 'number';
-    qtyInput.min = '0';
-    qtyInput.step = 'any';
-    qtyInput.placeholder = 'Qty';
-    qtyInput.required = true;
-    row.appendChild(qtyInput);
-    // Unit select
-    const unitSelect = document.createElement('select');
-    populateUnitSelect(unitSelect);
-    row.appendChild(unitSelect);
-    // Section select
-    const sectionSelect = document.createElement('select');
-    populateSectionSelect(sectionSelect);
-    row.appendChild(sectionSelect);
-    // Remove button
-    const removeBtn = document.createElement('button');
-    removeBtn.type = 'button';
-    removeBtn.classList.add('close-btn');
-    removeBtn.setAttribute('aria-label', 'Remove ingredient');
-    removeBtn.textContent = '✕';
-    removeBtn.addEventListener('click', () => {
-      container.removeChild(row);
-    });
-    row.appendChild(removeBtn);
-    container.appendChild(row);
+  function createNutritionSummary(result) {
+    const el = document.createElement('div');
+    el.classList.add('nutrition-summary');
+    el.textContent = formatNutrition(result.values);
+    if (result.missing.length > 0) {
+      el.classList.add('incomplete');
+      const flag = document.createElement('span');
+      flag.classList.add('nutrition-flag');
+      flag.textContent = ' ⚠ incomplete';
+      flag.title = `No nutrient data, or no conversion from the recipe unit, for: ${result.missing.join(', ')}`;
+      el.appendChild(flag);
+    }
+    return el;
   }
 
   /**
-   * Initialise the recipe form and attach handlers.
+   * Ensure a week object exists in `weeks` for the given start date.
+   * If not present, create a new week skeleton with seven days and
+   * empty meals.
+   * @param {string} weekStart ISO date string (Monday)
    */
-  function setupRecipeForm() {
-    document
-      .getElementById('add-ingredient')
-      .addEventListener('click', addIngredientRow);
-    // Start with one ingredient row
-    addIngredientRow();
-    const form = document.getElementById('recipe-form');
-    form.addEventListener('submit', (e) => {
-      e.preventDefault();
-      const titleInput = document.getElementById('recipe-title');
-      const instInput = document.getElementById('recipe-instructions');
-      const title = titleInput.value.trim();
-      if (!title) {
-        alert('Please provide a recipe title.');
-        return;
+  function ensureWeek(weekStart) {
+    if (!weeks[weekStart]) {
+      const weekObj = { days: {} };
+      const start = new Date(weekStart);
+      for (let i = 0; i < 7; i++) {
+        const date = new Date(start);
+        date.setDate(start.getDate() + i);
+        const iso = date.toISOString().substr(0, 10);
+        weekObj.days[iso] = { meals: {} };
       }
-      const instructions = instInput.value.trim();
-      // Gather ingredients
-      const rows = document.querySelectorAll('#ingredients-container .ingredient-row');
-      const ingList = [];
-      rows.forEach((r) => {
-        const [nameInput, qtyInput, unitSel, sectionSel] = r.querySelectorAll(
-          'input, select',
-        );
-        const name = nameInput.value.trim();
-        const qty = parseFloat(qtyInput.value);
-        if (!name || isNaN(qty)) return;
-        const unitId = unitSel.value;
-        const sectionId = sectionSel.value;
-        ingList.push({ name, qty, unitId, sectionId });
+      weeks[weekStart] = weekObj;
+    }
+    // Slots added in Settings after the week was created start empty
+    Object.values(weeks[weekStart].days).forEach((day) => {
+      settings.mealSlots.forEach((slot) => getSlot(day, slot.id));
+    });
+  }
+
+  /**
+   * Get a day's meal for a slot, creating it empty if needed.
+   * @param {Object} day Day object from a week
+   * @param {string} slotId
+   * @returns {{dishes: Array}}
+   */
+  function getSlot(day, slotId) {
+    if (!day.meals[slotId]) day.meals[slotId] = { dishes: [] };
+    return day.meals[slotId];
+  }
+
+  /**
+   * Call `callback(dish, recipe, date, slotId)` for every dish planned in
+   * a week's configured slots.  Dishes in slots that have since been
+   * removed from Settings are kept in storage but skipped, as are dishes
+   * whose recipe no longer exists.
+   * @param {Object} week
+   * @param {Function} callback
+   */
+  function forEachPlannedDish(week, callback) {
+    Object.keys(week.days)
+      .sort()
+      .forEach((date) => {
+        settings.mealSlots.forEach((slot) => {
+          const meal = week.days[date].meals[slot.id];
+          if (!meal) return;
+          meal.dishes.forEach((dish) => {
+            const recipe = recipes.find((r) => r.id === dish.recipeId);
+            if (recipe) callback(dish, recipe, date, slot.id);
+          });
+        });
       });
-      if (ingList.length === 0) {
-        alert('Please add at least one ingredient.');
-        return;
+  }
+
+  /**
+   * Display name of a meal slot, falling back to its id for slots that
+   * have been removed.
+   * @param {string} slotId
+   * @returns {string}
+   */
+  function getSlotName(slotId) {
+    const slot = settings.mealSlots.find((s) => s.id === slotId);
+    return slot ? slot.name : slotId;
+  }
+
+  /**
+   * Whether a recipe matches a search query.  The query is split on "+"
+   * or commas into terms ("chicken + quick"); every term must appear in
+   * the title, a tag or an ingredient name.
+   * @param {Object} recipe
+   * @param {string} query
+   * @returns {boolean}
+   */
+  function recipeMatchesQuery(recipe, query) {
+    const terms = query
+      .toLowerCase()
+      .split(/[+,]/)
+      .map((t) => t.trim())
+      .filter((t) => t.length > 0);
+    return terms.every(
+      (term) =>
+        recipe.title.toLowerCase().includes(term) ||
+        (recipe.tags || []).some((tag) => tag.includes(term)) ||
+        recipe.ingredients.some((ing) => ing.name.toLowerCase().includes(term)),
+    );
+  }
+
+  /**
+   * Recipes sorted by title for lists and pickers.
+   * @returns {Object[]}
+   */
+  function getSortedRecipes() {
+    return recipes.slice().sort((a, b) => a.title.localeCompare(b.title));
+  }
+
+  /**
+   * Create a searchable recipe picker following the ARIA combobox
+   * pattern: typing filters recipes with recipeMatchesQuery, arrow keys
+   * move through the matches, Enter picks one and Escape closes.
+   * @param {Object} options
+   * @param {string|null} options.value Selected recipe id
+   * @param {string} options.placeholder Placeholder text
+   * @param {string} options.label Accessible label
+   * @param {string} [options.clearLabel] When set, offered as the first
+   *   option and reported as an empty id
+   * @param {Function} options.onSelect Called with the chosen recipe id
+   * @returns {HTMLElement} Wrapper element; its input is `.recipe-picker input`
+   */
+  function createRecipePicker({ value, placeholder, label, clearLabel, onSelect }) {
+    pickerCount++;
+    const listId = `recipe-picker-${pickerCount}`;
+    const wrapper = document.createElement('div');
+    wrapper.classList.add('recipe-picker');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-expanded', 'false');
+    input.setAttribute('aria-controls', listId);
+    input.setAttribute('aria-label', label);
+    input.placeholder = placeholder;
+    const current = recipes.find((r) => r.id === value);
+    const currentTitle = current ? current.title : '';
+    input.value = currentTitle;
+    const listbox = document.createElement('ul');
+    listbox.id = listId;
+    listbox.setAttribute('role', 'listbox');
+    listbox.classList.add('picker-list', 'section-hidden');
+    // Keep focus in the input while clicking an option
+    listbox.addEventListener('mousedown', (e) => e.preventDefault());
+    let options = [];
+    let active = -1;
+    const setActive = (idx) => {
+      active = idx;
+      options.forEach((opt, i) => opt.el.setAttribute('aria-selected', i === idx ? 'true' : 'false'));
+      if (idx >= 0) {
+        input.setAttribute('aria-activedescendant', options[idx].el.id);
+        if (options[idx].el.scrollIntoView) options[idx].el.scrollIntoView({ block: 'nearest' });
+      } else {
+        input.removeAttribute('aria-activedescendant');
       }
-      if (editingRecipeId) {
-        // Update existing recipe
-        const recipe = recipes.find((r) => r.id === editingRecipeId);
-        if (recipe) {
-          recipe.title = title;
-          recipe.instructions = instructions;
-          recipe.ingredients = ingList;
-          // Also update any plans referencing this recipe by id - they will reference same id so no change needed
+    };
+    const close = () => {
+      listbox.classList.add('section-hidden');
+      input.setAttribute('aria-expanded', 'false');
+      input.removeAttribute('aria-activedescendant');
+      input.value = currentTitle;
+    };
+    const choose = (id) => {
+      close();
+      if (id !== value) onSelect(id);
+    };
+    const open = () => {
+      // Show everything while the box still shows the current choice
+      const query = input.value === currentTitle ? '' : input.value;
+      const matches = getSortedRecipes().filter((r) => recipeMatchesQuery(r, query));
+      listbox.innerHTML = '';
+      options = [];
+      const addOption = (id, text, extra) => {
+        const li = document.createElement('li');
+        li.id = `${listId}-${options.length}`;
+        li.setAttribute('role', 'option');
+        li.textContent = text;
+        if (extra) {
+          const small = document.createElement('small');
+          small.textContent = ` ${extra}`;
+          li.appendChild(small);
         }
-        showToast(`Updated recipe: ${title}`);
-      } else {
-        // Create new recipe
-        const newRecipe = {
-          id: generateId(),
-          title,
-          instructions,
-          ingredients: ingList,
-        };
-        recipes.push(newRecipe);
-        showToast(`Saved recipe: ${title}`);
+        li.addEventListener('click', () => choose(id));
+        listbox.appendChild(li);
+        options.push({ id, el: li });
+      };
+      if (clearLabel) addOption('', clearLabel);
+      const limit = 50;
+      matches.slice(0, limit).forEach((r) => addOption(r.id, r.title, (r.tags || []).join(', ')));
+      if (matches.length > limit) {
+        const more = document.createElement('li');
+        more.classList.add('picker-more');
+        more.textContent = `${matches.length - limit} more; keep typing to narrow down`;
+        listbox.appendChild(more);
+      } else if (matches.length === 0) {
+        const none = document.createElement('li');
+        none.classList.add('picker-more');
+        none.textContent = 'No matching recipes';
+        listbox.appendChild(none);
       }
-      saveData();
-      // Reset editing state and form
-      editingRecipeId = null;
-      document.querySelector('#recipe-form button.primary').textContent = 'Save Recipe';
-      document.getElementById('cancel-edit').classList.add('section-hidden');
-      // Clear form fields
-      titleInput.value = '';
-      instInput.value = '';
-      document.getElementById('ingredients-container').innerHTML = '';
-      addIngredientRow();
-      renderRecipeList();
-      // Re‑render plan selects to include the new or updated recipe
-      const weekStartVal = document.getElementById('week-start').value;
-      if (weekStartVal) {
-        renderPlan(getWeekStart(weekStartVal));
+      listbox.classList.remove('section-hidden');
+      input.setAttribute('aria-expanded', 'true');
+      setActive(query && options.length > (clearLabel ? 1 : 0) ? (clearLabel ? 1 : 0) : -1);
+    };
+    input.addEventListener('focus', () => input.select());
+    input.addEventListener('click', open);
+    input.addEventListener('input', open);
+    input.addEventListener('keydown', (e) => {
+      const isOpen = input.getAttribute('aria-expanded') === 'true';
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        if (!isOpen) open();
+        setActive(Math.min(active + 1, options.length - 1));
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (isOpen) setActive(Math.max(active - 1, 0));
+      } else if (e.key === 'Enter') {
+        if (isOpen && active >= 0) {
+          e.preventDefault();
+          choose(options[active].id);
+        }
+      } else if (e.key === 'Escape') {
+        if (isOpen) {
+          // Do not also cancel a pending dish move
+          e.stopPropagation();
+          close();
+        }
       }
     });
-    // Cancel edit handler
-    document.getElementById('cancel-edit').addEventListener('click', () => {
-      editingRecipeId = null;
-      document.querySelector('#recipe-form button.primary').textContent = 'Save Recipe';
-      document.getElementById('cancel-edit').classList.add('section-hidden');
-      // Reset form
-      form.reset();
-      document.getElementById('ingredients-container').innerHTML = '';
-      addIngredientRow();
-    });
+    input.addEventListener('blur', close);
+    wrapper.appendChild(input);
+    wrapper.appendChild(listbox);
+    return wrapper;
   }
 
   /**
-   * Initialise pantry form and attach handlers.
+   * Render the controls for one planned dish: recipe picker, servings
+   * and the cooked toggle.  Choosing "(remove dish)" in the picker
+   * removes the dish from its slot.
+   * @param {string} weekStart
+   * @param {string} date
+   * @param {string} slotId
+   * @param {Object} dish
+   * @returns {HTMLElement}
    */
-  function setupPantryForm() {
-    // Populate selects
-    populateUnitSelect(document.getElementById('pantry-unit'));
-    populateSectionSelect(document.getElementById('pantry-section'));
-    const form = document.getElementById('pantry-form');
-    form.addEventListener('submit', (e) => {
-      e.preventDefault();
-      const name = document.getElementById('pantry-name').value.trim();
-      const qty = parseFloat(document.getElementById('pantry-qty').value);
-      const unitId = document.getElementById('pantry-unit').value;
-      const sectionId = document.getElementById('pantry-section').value;
-      const bestBefore = document.getElementById('pantry-date').value || null;
-      if (!name || isNaN(qty)) {
-        alert('Please provide an item name and quantity.');
-        return;
-      }
-      if (editingPantryId) {
-        // Update existing item
-        const idx = pantry.findIndex((p) => p.id === editingPantryId);
-        if (idx >= 0) {
-          pantry[idx] = {
-            ...pantry[idx],
-            name,
-            qty,
-            unitId,
-            sectionId,
-            bestBefore,
-          };
-          showToast(`Updated pantry item: ${name}`);
+  function renderDish(weekStart, date, slotId, dish) {
+    const label = `${formatDayLabel(date)} ${getSlotName(slotId)}`;
+    const wrapper = document.createElement('div');
+    wrapper.classList.add('dish');
+    wrapper.dataset.dishId = dish.id;
+    const picker = createRecipePicker({
+      value: dish.recipeId,
+      placeholder: 'Search recipes…',
+      label: `Recipe for ${label}`,
+      clearLabel: '(remove dish)',
+      onSelect: (recipeId) => {
+        const meal = getSlot(weeks[weekStart].days[date], slotId);
+        if (!recipeId) {
+          meal.dishes = meal.dishes.filter((d) => d.id !== dish.id);
+          saveData('remove dish', ['weeks']);
+          renderPlan(weekStart);
+          return;
         }
-        editingPantryId = null;
-        // Reset button label and hide cancel
-        document.getElementById('pantry-submit').textContent = 'Add to Pantry';
-        document.getElementById('cancel-pantry-edit').classList.add('section-hidden');
+        dish.recipeId = recipeId;
+        // A hand-picked recipe is no longer replaced by reroll
+        dish.auto = false;
+        saveData('change dish', ['weeks']);
+        renderPlan(weekStart);
+      },
+    });
+    const pickerInput = picker.querySelector('input');
+    // Servings for this dish.  Left blank, the recipe's own yield is
+    // used, which the placeholder shows as a hint.
+    const servingsInput = document.createElement('input');
+    servingsInput.type = 'number';
+    servingsInput.min = '0';
+    servingsInput.step = 'any';
+    servingsInput.classList.add('slot-servings');
+    servingsInput.value = dish.servings || '';
+    servingsInput.setAttribute('aria-label', `Servings for ${label}`);
+    servingsInput.title = 'Servings';
+    // Cooked toggle.  While a dish is cooked its recipe and servings
+    // are locked, since they determine what was taken from the
+    // pantry; untick to undo the deduction and edit again.
+    const cookedLabel = document.createElement('label');
+    cookedLabel.classList.add('slot-cooked');
+    const cookedBox = document.createElement('input');
+    cookedBox.type = 'checkbox';
+    cookedBox.checked = !!dish.cooked;
+    cookedBox.setAttribute('aria-label', `Mark ${label} as cooked`);
+    cookedLabel.appendChild(cookedBox);
+    cookedLabel.appendChild(document.createTextNode(' Cooked'));
+    const updateState = () => {
+      const recipe = recipes.find((r) => r.id === dish.recipeId);
+      servingsInput.placeholder = recipe && recipe.servings ? recipe.servings : 'Serves';
+      servingsInput.disabled = !!dish.cooked;
+      pickerInput.disabled = !!dish.cooked;
+      wrapper.classList.toggle('cooked', !!dish.cooked);
+      wrapper.classList.toggle('auto', !!dish.auto);
+      wrapper.title = dish.auto ? 'Chosen by auto-fill' : '';
+    };
+    updateState();
+    servingsInput.addEventListener('change', () => {
+      const servings = parseFloat(servingsInput.value);
+      dish.servings = servings > 0 ? servings : null;
+      saveData('change servings', ['weeks']);
+    });
+    cookedBox.addEventListener('change', () => {
+      if (cookedBox.checked) {
+        markMealCooked(weekStart, date, slotId, dish.id);
       } else {
-        // Add new item
-        pantry.push({
-          id: generateId(),
-          name,
-          qty,
-          unitId,
-          sectionId,
-          bestBefore,
-        });
-        showToast(`Added to pantry: ${name}`);
+        undoMealCooked(weekStart, date, slotId, dish.id);
       }
-      saveData();
-      // Clear form
-      form.reset();
-      // Reset selects to default first option
-      populateUnitSelect(document.getElementById('pantry-unit'));
-      populateSectionSelect(document.getElementById('pantry-section'));
-      renderPantry();
+      updateState();
     });
-    // Cancel pantry editing
-    document.getElementById('cancel-pantry-edit').addEventListener('click', () => {
-      editingPantryId = null;
-      form.reset();
-      populateUnitSelect(document.getElementById('pantry-unit'));
-      populateSectionSelect(document.getElementById('pantry-section'));
-      document.getElementById('pantry-submit').textContent = 'Add to Pantry';
-      document.getElementById('cancel-pantry-edit').classList.add('section-hidden');
+    // Drag handle.  Dragging moves the dish; the same button picks the
+    // dish up for a keyboard move (see pendingMove).  Cooked dishes stay
+    // put because the cook log refers to their slot.
+    const source = { date, slotId, dishId: dish.id };
+    const handle = document.createElement('button');
+    handle.type = 'button';
+    handle.classList.add('drag-handle');
+    handle.textContent = '⠿';
+    handle.title = 'Drag to move, or press to pick up';
+    handle.setAttribute('aria-label', `Move ${label} dish`);
+    handle.disabled = !!dish.cooked;
+    const isPicked = pendingMove && pendingMove.weekStart === weekStart && pendingMove.dishId === dish.id;
+    handle.setAttribute('aria-pressed', isPicked ? 'true' : 'false');
+    if (isPicked) wrapper.classList.add('moving');
+    handle.addEventListener('click', () => {
+      pendingMove = isPicked ? null : { weekStart, ...source };
+      renderPlan(weekStart);
+      focusDishHandle(dish.id);
     });
+    wrapper.draggable = !dish.cooked;
+    wrapper.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData('application/json', JSON.stringify(source));
+      e.dataTransfer.effectAllowed = 'move';
+      wrapper.classList.add('moving');
+    });
+    wrapper.addEventListener('dragend', () => wrapper.classList.remove('moving'));
+    // Dropping onto another dish swaps the two
+    wrapper.addEventListener('dragover', (e) => {
+      if (!dish.cooked) e.preventDefault();
+    });
+    wrapper.addEventListener('drop', (e) => {
+      if (dish.cooked) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const from = JSON.parse(e.dataTransfer.getData('application/json') || 'null');
+      if (from) moveDish(weekStart, from, source);
+    });
+    wrapper.appendChild(handle);
+    wrapper.appendChild(picker);
+    wrapper.appendChild(servingsInput);
+    wrapper.appendChild(cookedLabel);
+    // While another dish is picked up, offer to swap with this one
+    if (pendingMove && pendingMove.weekStart === weekStart && !isPicked && !dish.cooked) {
+      const swapBtn = document.createElement('button');
+      swapBtn.type = 'button';
+      swapBtn.classList.add('secondary', 'move-target');
+      swapBtn.textContent = 'Swap here';
+      swapBtn.setAttribute('aria-label', `Swap with ${label} dish`);
+      swapBtn.addEventListener('click', () => moveDish(weekStart, pendingMove, source));
+      wrapper.appendChild(swapBtn);
+    }
+    return wrapper;
   }
 
   /**
-   * Initialise week start input and plan rendering.
+   * Move a dish to another slot, or swap it with a dish when `to`
+   * names one.  Both locations are { date, slotId, dishId }.
+   * @param {string} weekStart
+   * @param {Object} from
+   * @param {Object} to
    */
-  function setupWeekPlan() {
-    const weekStartInput = document.getElementById('week-start');
-    // Prefill with current week's Monday if not already set
-    if (!weekStartInput.value) {
-      const today = new Date();
-      const iso = today.toISOString().substr(0, 10);
-      weekStartInput.value = getWeekStart(iso);
+  function moveDish(weekStart, from, to) {
+    pendingMove = null;
+    const days = weeks[weekStart].days;
+    // A dish dragged in from another page may name a day outside this week
+    if (!days[from.date] || !days[to.date]) {
+      renderPlan(weekStart);
+      return;
     }
-    const initialWeek = getWeekStart(weekStartInput.value);
-    renderPlan(initialWeek);
-    weekStartInput.addEventListener('change', () => {
-      const ws = getWeekStart(weekStartInput.value);
-      // Always update the input to the Monday of the selected week so that
-      // the displayed date matches the planner’s internal week start.  This
-      // prevents confusion when a mid‑week date is chosen.  See test report
-      // suggestions for clarification.
-      weekStartInput.value = ws;
-      // If we have a previous list with unchecked items and are changing to a new week, ask to carry forward
-      if (lastList && lastList.weekStart && lastList.items && lastList.items.length > 0 && lastList.weekStart !== ws) {
-        const leftovers = lastList.items.filter((i) => !i.checked && i.qty > 0);
-        if (leftovers.length > 0) {
-          const confirmCarry = confirm(
-            'Carry forward leftover items from your previous list into the new week?\nThese items were not checked off in your last list.',
-          );
-          if (confirmCarry) {
-            carriedItems = leftovers.map((i) => ({ ...i }));
-            // Optionally clear them from lastList or mark them as checked
-          } else {
-            carriedItems = [];
-          }
-        } else {
-          carriedItems = [];
-        }
+    const fromDishes = getSlot(days[from.date], from.slotId).dishes;
+    const toDishes = getSlot(days[to.date], to.slotId).dishes;
+    const fromIdx = fromDishes.findIndex((d) => d.id === from.dishId);
+    if (fromIdx < 0 || from.dishId === to.dishId) {
+      renderPlan(weekStart);
+      return;
+    }
+    const moving = fromDishes[fromIdx];
+    if (to.dishId) {
+      const toIdx = toDishes.findIndex((d) => d.id === to.dishId);
+      if (toIdx < 0) {
+        renderPlan(weekStart);
+        return;
       }
-      renderPlan(ws);
+      fromDishes[fromIdx] = toDishes[toIdx];
+      toDishes[toIdx] = moving;
+    } else {
+      fromDishes.splice(fromIdx, 1);
+      toDishes.push(moving);
+    }
+    saveData('move dish', ['weeks']);
+    renderPlan(weekStart);
+    focusDishHandle(moving.id);
+  }
+
+  /**
+   * Return keyboard focus to a dish's move handle after re-rendering.
+   * @param {string} dishId
+   */
+  function focusDishHandle(dishId) {
+    const handle = document.querySelector(`#plan-container .dish[data-dish-id="${dishId}"] .drag-handle`);
+    if (handle) handle.focus();
+  }
+
+  /**
+   * Render the weekly plan table for the selected week.  Columns are
+   * the meal slots from Settings; each cell lists its dishes followed
+   * by a select for adding another.
+   * @param {string} weekStart
+   */
+  function renderPlan(weekStart) {
+    ensureWeek(weekStart);
+    const planContainer = document.getElementById('plan-container');
+    planContainer.innerHTML = '';
+    const table = document.createElement('table');
+    table.classList.add('meal-table');
+
+    // Header row
+    const thead = document.createElement('thead');
+    const hr = document.createElement('tr');
+    hr.appendChild(document.createElement('th')); // Empty corner cell
+    settings.mealSlots.forEach((slot) => {
+      const th = document.createElement('th');
+      th.textContent = slot.name;
+      hr.appendChild(th);
     });
+    const totalTh = document.createElement('th');
+    totalTh.textContent = 'Day total';
+    totalTh.title = 'Nutrition per person: one serving of each planned dish';
+    hr.appendChild(totalTh);
+    thead.appendChild(hr);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    const days = weeks[weekStart].days;
+    const dayKeys = Object.keys(days).sort();
+    const weekTotal = { values: {}, missing: [] };
+    let plannedDays = 0;
+    dayKeys.forEach((date) => {
+      const row = document.createElement('tr');
+      const dayCell = document.createElement('td');
+      const label = formatDayLabel(date);
+      dayCell.textContent = label;
+      row.appendChild(dayCell);
+      // For each meal slot
+      settings.mealSlots.forEach((slot) => {
+        const cell = document.createElement('td');
+        const meal = getSlot(days[date], slot.id);
+        // Locked slots are left alone by auto-fill and reroll
+        const lockBtn = document.createElement('button');
+        lockBtn.type = 'button';
+        lockBtn.classList.add('lock-btn');
+        lockBtn.textContent = meal.locked ? '🔒' : '🔓';
+        lockBtn.title = meal.locked ? 'Locked: auto-fill keeps this slot' : 'Lock this slot for auto-fill';
+        lockBtn.setAttribute('aria-pressed', meal.locked ? 'true' : 'false');
+        lockBtn.setAttribute('aria-label', `Lock ${label} ${slot.name} for auto-fill`);
+        lockBtn.addEventListener('click', () => {
+          meal.locked = !meal.locked;
+          saveData(meal.locked ? 'lock slot' : 'unlock slot', ['weeks']);
+          renderPlan(weekStart);
+        });
+        cell.classList.toggle('locked', !!meal.locked);
+        cell.appendChild(lockBtn);
+        meal.dishes.forEach((dish) => {
+          cell.appendChild(renderDish(weekStart, date, slot.id, dish));
+        });
+        // Dropping onto the cell itself moves the dish to the end of it
+        const target = { date, slotId: slot.id, dishId: null };
+        cell.addEventListener('dragover', (e) => {
+          e.preventDefault();
+          cell.classList.add('drop-target');
+        });
+        cell.addEventListener('dragleave', () => cell.classList.remove('drop-target'));
+        cell.addEventListener('drop', (e) => {
+          e.preventDefault();
+          cell.classList.remove('drop-target');
+          const from = JSON.parse(e.dataTransfer.getData('application/json') || 'null');
+          if (from) moveDish(weekStart, from, target);
+        });
+        if (pendingMove && pendingMove.weekStart === weekStart) {
+          const moveBtn = document.createElement('button');
+          moveBtn.type = 'button';
+          moveBtn.classList.add('secondary', 'move-target');
+          moveBtn.textContent = 'Move here';
+          moveBtn.setAttribute('aria-label', `Move dish to ${label} ${slot.name}`);
+          moveBtn.addEventListener('click', () => moveDish(weekStart, pendingMove, target));
+          cell.appendChild(moveBtn);
+        }
+        // Picker for adding a (further) dish to this slot
+        const addPicker = createRecipePicker({
+          value: null,
+          placeholder: meal.dishes.length > 0 ? '+ Add dish' : 'Search recipes…',
+          label: `Add a dish to ${label} ${slot.name}`,
+          onSelect: (recipeId) => {
+            meal.dishes.push({ id: generateId(), recipeId, servings: null, cooked: false });
+            saveData('add dish', ['weeks']);
+            renderPlan(weekStart);
+          },
+        });
+        addPicker.classList.add('add-dish');
+        cell.appendChild(addPicker);
+        row.appendChild(cell);
+      });
+      // Nutrition per person for the day: one serving of each dish,
+      // however many servings are planned for the household
+      const dayTotal = { values: {}, missing: [] };
+      let dishCount = 0;
+      settings.mealSlots.forEach((slot) => {
+        getSlot(days[date], slot.id).dishes.forEach((dish) => {
+          const recipe = recipes.find((r) => r.id === dish.recipeId);
+          if (!recipe) return;
+          addNutrition(dayTotal, getServingNutrition(recipe));
+          dishCount++;
+        });
+      });
+      const totalCell = document.createElement('td');
+      totalCell.classList.add('nutrition-cell');
+      if (dishCount > 0) {
+        totalCell.appendChild(createNutritionSummary(dayTotal));
+        addNutrition(weekTotal, dayTotal);
+        plannedDays++;
+      }
+      row.appendChild(totalCell);
+      tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    // Week total and the average over days with something planned
+    const tfoot = document.createElement('tfoot');
+    const weekRow = document.createElement('tr');
+    const weekLabel = document.createElement('td');
+    weekLabel.textContent = 'Week (per person)';
+    weekRow.appendChild(weekLabel);
+    const weekCell = document.createElement('td');
+    weekCell.colSpan = settings.mealSlots.length + 1;
+    weekCell.classList.add('nutrition-cell');
+    if (plannedDays > 0) {
+      const average = { values: {}, missing: [] };
+      nutrientFields.forEach((field) => {
+        average.values[field.id] = weekTotal.values[field.id] / plannedDays;
+      });
+      weekCell.appendChild(createNutritionSummary(weekTotal));
+      const avgEl = document.createElement('div');
+      avgEl.classList.add('nutrition-average');
+      avgEl.textContent = `Daily average over ${plannedDays} planned day(s): ${formatNutrition(average.values)}`;
+      weekCell.appendChild(avgEl);
+    } else {
+      weekCell.textContent = 'Nothing planned yet';
+    }
+    weekRow.appendChild(weekCell);
+    tfoot.appendChild(weekRow);
+    table.appendChild(tfoot);
+    planContainer.appendChild(table);
+    renderCookLog();
+    renderUseItUp();
+    renderTemplateSelect();
+  }
+
+  /**
+   * Create a seeded pseudo-random number generator (mulberry32) so the
+   * same seed always produces the same plan.
+   * @param {string} seedText
+   * @returns {Function} returns numbers in [0, 1)
+   */
+  function createRandom(seedText) {
+    // Hash the seed text into a 32-bit starting state
+    let state = 1779033703 ^ seedText.length;
+    for (let i = 0; i < seedText.length; i++) {
+      state = Math.imul(state ^ seedText.charCodeAt(i), 3432918353);
+      state = (state << 13) | (state >>> 19);
+    }
+    return () => {
+      state = (state + 0x6d2b79f5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Whether a recipe suits a meal slot.  Recipes without any suitable
+   * slots ticked suit every slot.
+   * @param {Object} recipe
+   * @param {string} slotId
+   * @returns {boolean}
+   */
+  function recipeSuitsSlot(recipe, slotId) {
+    return !recipe.mealSlots || recipe.mealSlots.length === 0 || recipe.mealSlots.includes(slotId);
+  }
+
+  /**
+   * Fill the empty, unlocked slots of a week from the saved recipes.
+   * Dishes placed by an earlier auto-fill in unlocked slots are cleared
+   * first, so running it again with another seed rerolls them.  The
+   * rules in settings.autoFill decide which recipes may go where:
+   * suitability for the slot, a minimum gap between repeats, a cap on
+   * ingredients the pantry does not have, and a preference for recipes
+   * that use items close to their best‑before date.
+   * @param {string} weekStart
+   * @returns {{filled: number, unfilled: number}}
+   */
+  function autoFillWeek(weekStart) {
+    ensureWeek(weekStart);
+    const rules = settings.autoFill;
+    const random = createRandom(`${rules.seed}|${weekStart}`);
+    const days = weeks[weekStart].days;
+    const dates = Object.keys(days).sort();
+    const slots = settings.mealSlots.filter((slot) => rules.slots.includes(slot.id));
+    // Clear previous auto-fill results in unlocked slots
+    dates.forEach((date) => {
+      slots.forEach((slot) => {
+        const meal = getSlot(days[date], slot.id);
+        if (!meal.locked) meal.dishes = meal.dishes.filter((d) => !d.auto || d.cooked);
+      });
+    });
+    // Dates each recipe is already planned on, across all weeks
+    const plannedOn = {};
+    Object.values(weeks).forEach((wk) => {
+      forEachPlannedDish(wk, (dish, recipe, date) => {
+        (plannedOn[recipe.id] = plannedOn[recipe.id] || []).push(date);
+      });
+    });
+    // Ingredients this week already needs, and which of them are new
+    // (not in the pantry).  Stock in a unit that does not convert to the
+    // recipe's still counts as having some.
+    const needed = new Set();
+    const isNew = (ing) => {
+      if (getPantryQuantity(ing.name, ing.unitId) > 0) return false;
+      const key = ingredientKey(ing.name);
+      return !pantry.some(
+        (p) =>
+          ingredientKey(p.name) === key &&
+          parseFloat(p.qty) > 0 &&
+          convertUnit(1, p.unitId, ing.unitId, ing.name) === null,
+      );
+    };
+    let newCount = 0;
+    const addIngredients = (recipe) => {
+      recipe.ingredients.forEach((ing) => {
+        const key = ingredientKey(ing.name);
+        if (needed.has(key)) return;
+        needed.add(key);
+        if (isNew(ing)) newCount++;
+      });
+    };
+    forEachPlannedDish(weeks[weekStart], (dish, recipe) => addIngredients(recipe));
+    // Pantry items worth using up, keyed by ingredient
+    const expiringSoon = {};
+    pantry.forEach((p) => {
+      if (getExpiryStatus(p) === 'soon') {
+        expiringSoon[ingredientKey(p.name)] = Math.max(0, daysUntil(p.bestBefore));
+      }
+    });
+    const dayGap = (a, b) => Math.abs(new Date(a + 'T00:00:00') - new Date(b + 'T00:00:00')) / 86400000;
+    let filled = 0;
+    let unfilled = 0;
+    dates.forEach((date) => {
+      slots.forEach((slot) => {
+        const meal = getSlot(days[date], slot.id);
+        if (meal.locked || meal.dishes.length > 0) return;
+        let best = null;
+        recipes.forEach((recipe) => {
+          // Draw for every recipe so results depend only on the seed
+          const roll = random();
+          if (!recipeSuitsSlot(recipe, slot.id)) return;
+          if (
+            rules.noRepeatDays > 0 &&
+            (plannedOn[recipe.id] || []).some((d) => dayGap(d, date) < rules.noRepeatDays)
+          ) {
+            return;
+          }
+          const keys = new Set();
+          let added = 0;
+          let expiryBonus = 0;
+          recipe.ingredients.forEach((ing) => {
+            const key = ingredientKey(ing.name);
+            if (keys.has(key)) return;
+            keys.add(key);
+            if (!needed.has(key) && isNew(ing)) added++;
+            if (expiringSoon[key] !== undefined) expiryBonus += 1 + (7 - expiringSoon[key]) / 7;
+          });
+          if (rules.maxNewIngredients > 0 && newCount + added > rules.maxNewIngredients) return;
+          const score = roll + (rules.preferExpiring ? expiryBonus : 0) - added * 0.05;
+          if (!best || score > best.score) best = { recipe, score };
+        });
+        if (!best) {
+          unfilled++;
+          return;
+        }
+        meal.dishes.push({ id: generateId(), recipeId: best.recipe.id, servings: null, cooked: false, auto: true });
+        (plannedOn[best.recipe.id] = plannedOn[best.recipe.id] || []).push(date);
+        addIngredients(best.recipe);
+        // Expiring items only need using once
+        best.recipe.ingredients.forEach((ing) => delete expiringSoon[ingredientKey(ing.name)]);
+        filled++;
+      });
+    });
+    return { filled, unfilled };
+  }
+
+  /**
+   * Run auto-fill for the selected week and report the result.
+   */
+  function runAutoFill() {
+    const weekStart = getSelectedWeekStart();
+    if (!weekStart) return;
+    if (recipes.length === 0) {
+      alert('Save some recipes first.');
+      return;
+    }
+    const { filled, unfilled } = autoFillWeek(weekStart);
+    saveData('auto-fill week', ['weeks', 'settings']);
+    renderPlan(weekStart);
+    showToast(
+      unfilled > 0
+        ? `Auto-filled ${filled} slot(s); ${unfilled} left empty by the rules`
+        : `Auto-filled ${filled} slot(s)`,
+    );
+  }
+
+  /**
+   * Render the auto-fill rule controls in Settings.
+   */
+  function renderAutoFillSettings() {
+    const rules = settings.autoFill;
+    document.getElementById('autofill-repeat').value = rules.noRepeatDays;
+    document.getElementById('autofill-new').value = rules.maxNewIngredients;
+    document.getElementById('autofill-expiring').checked = !!rules.preferExpiring;
+    const slotsEl = document.getElementById('autofill-slots');
+    slotsEl.innerHTML = '';
+    settings.mealSlots.forEach((slot) => {
+      const label = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = slot.id;
+      box.checked = rules.slots.includes(slot.id);
+      box.addEventListener('change', () => {
+        rules.slots = settings.mealSlots.map((s) => s.id).filter((id) =>
+          id === slot.id ? box.checked : rules.slots.includes(id),
+        );
+        saveData('change auto-fill slots', ['settings']);
+      });
+      label.appendChild(box);
+      label.appendChild(document.createTextNode(` ${slot.name}`));
+      slotsEl.appendChild(label);
+    });
+    document.getElementById('autofill-seed').value = rules.seed;
+  }
+
+  /**
+   * Attach handlers for the auto-fill buttons and rule settings.
+   */
+  function setupAutoFill() {
+    const rules = settings.autoFill;
+    const seedInput = document.getElementById('autofill-seed');
+    document.getElementById('autofill-week').addEventListener('click', () => {
+      const seed = parseInt(seedInput.value, 10);
+      settings.autoFill.seed = isNaN(seed) ? 1 : seed;
+      runAutoFill();
+    });
+    document.getElementById('autofill-reroll').addEventListener('click', () => {
+      settings.autoFill.seed = (parseInt(seedInput.value, 10) || 0) + 1;
+      seedInput.value = settings.autoFill.seed;
+      runAutoFill();
+    });
+    const bindNumber = (id, key) => {
+      document.getElementById(id).addEventListener('change', (e) => {
+        const value = parseInt(e.target.value, 10);
+        settings.autoFill[key] = value > 0 ? value : 0;
+        e.target.value = settings.autoFill[key];
+        saveData('change auto-fill rules', ['settings']);
+      });
+    };
+    bindNumber('autofill-repeat', 'noRepeatDays');
+    bindNumber('autofill-new', 'maxNewIngredients');
+    document.getElementById('autofill-expiring').addEventListener('change', (e) => {
+      settings.autoFill.preferExpiring = e.target.checked;
+      saveData('change auto-fill rules', ['settings']);
+    });
+    seedInput.value = rules.seed;
+    renderAutoFillSettings();
+  }
+
+  /**
+   * Copy the dishes of a source week shape into the given week,
+   * replacing every dish that has not been cooked yet.
+   * @param {string} weekStart Target week
+   * @param {Function} dishesFor `(dayIndex, slotId)` returning the
+   *   dishes ({ recipeId, servings }) to plan in that slot
+   */
+  function fillWeek(weekStart, dishesFor) {
+    ensureWeek(weekStart);
+    const days = weeks[weekStart].days;
+    Object.keys(days)
+      .sort()
+      .forEach((date, dayIndex) => {
+        Object.keys(days[date].meals).forEach((slotId) => {
+          const meal = days[date].meals[slotId];
+          meal.dishes = meal.dishes.filter((d) => d.cooked);
+        });
+        settings.mealSlots.forEach((slot) => {
+          const meal = getSlot(days[date], slot.id);
+          (dishesFor(dayIndex, slot.id) || []).forEach((d) => {
+            if (!recipes.find((r) => r.id === d.recipeId)) return;
+            meal.dishes.push({ id: generateId(), recipeId: d.recipeId, servings: d.servings || null, cooked: false });
+          });
+        });
+      });
+  }
+
+  /**
+   * Whether a week has any dishes planned.
+   * @param {string} weekStart
+   * @returns {boolean}
+   */
+  function weekHasDishes(weekStart) {
+    const week = weeks[weekStart];
+    if (!week) return false;
+    return Object.values(week.days).some((day) =>
+      Object.values(day.meals).some((meal) => meal.dishes.some((d) => !d.cooked)),
+    );
+  }
+
+  /**
+   * Read the selected week from the week start input.
+   * @returns {string|null}
+   */
+  function getSelectedWeekStart() {
+    const weekStartVal = document.getElementById('week-start').value;
+    return weekStartVal ? getWeekStart(weekStartVal) : null;
+  }
+
+  /**
+   * Populate the template picker above the plan.
+   */
+  function renderTemplateSelect() {
+    const select = document.getElementById('template-select');
+    const previous = select.value;
+    select.innerHTML = '';
+    const noneOpt = document.createElement('option');
+    noneOpt.value = '';
+    noneOpt.textContent = templates.length > 0 ? '-- Template --' : 'No templates saved';
+    select.appendChild(noneOpt);
+    templates.forEach((tpl) => {
+      const opt = document.createElement('option');
+      opt.value = tpl.id;
+      opt.textContent = tpl.name;
+      select.appendChild(opt);
+    });
+    if (templates.find((t) => t.id === previous)) select.value = previous;
+  }
+
+  /**
+   * Attach handlers for week templates and copying the previous week.
+   */
+  function setupWeekTools() {
+    const select = document.getElementById('template-select');
+    document.getElementById('save-template').addEventListener('click', () => {
+      const weekStart = getSelectedWeekStart();
+      if (!weekStart) return;
+      const name = (prompt('Name this template:') || '').trim();
+      if (!name) return;
+      const days = Object.keys(weeks[weekStart].days)
+        .sort()
+        .map((date) => {
+          const meals = {};
+          Object.keys(weeks[weekStart].days[date].meals).forEach((slotId) => {
+            meals[slotId] = weeks[weekStart].days[date].meals[slotId].dishes.map((d) => ({
+              recipeId: d.recipeId,
+              servings: d.servings,
+            }));
+          });
+          return meals;
+        });
+      const existing = templates.find((t) => t.name.toLowerCase() === name.toLowerCase());
+      if (existing) {
+        if (!confirm(`Overwrite the template "${existing.name}"?`)) return;
+        existing.days = days;
+      } else {
+        templates.push({ id: generateId(), name, days });
+      }
+      saveData('save template', ['templates']);
+      renderTemplateSelect();
+      showToast(`Saved template: ${name}`);
+    });
+    document.getElementById('apply-template').addEventListener('click', () => {
+      const weekStart = getSelectedWeekStart();
+      const tpl = templates.find((t) => t.id === select.value);
+      if (!weekStart || !tpl) {
+        alert('Please choose a template to apply.');
+        return;
+      }
+      if (weekHasDishes(weekStart) && !confirm('Replace the meals planned this week? Cooked meals are kept.')) {
+        return;
+      }
+      fillWeek(weekStart, (dayIndex, slotId) => tpl.days[dayIndex] && tpl.days[dayIndex][slotId]);
+      saveData('apply template', ['weeks']);
+      renderPlan(weekStart);
+      showToast(`Applied template: ${tpl.name}`);
+    });
+    document.getElementById('delete-template').addEventListener('click', () => {
+      const tpl = templates.find((t) => t.id === select.value);
+      if (!tpl) return;
+      if (!confirm(`Delete the template "${tpl.name}"?`)) return;
+      templates = templates.filter((t) => t.id !== tpl.id);
+      saveData('delete template', ['templates']);
+      renderTemplateSelect();
+      showToast(`Deleted template: ${tpl.name}`);
+    });
+    document.getElementById('export-ics').addEventListener('click', () => {
+      const weekStart = getSelectedWeekStart();
+      if (!weekStart) return;
+      const calendar = buildWeekCalendar(weekStart);
+      if (calendar.count === 0) {
+        alert('Nothing is planned this week yet.');
+        return;
+      }
+      downloadFile(`meal_plan_${weekStart}.ics`, calendar.text, 'text/calendar');
+      showToast(`Exported ${calendar.count} meal(s) to a calendar file`);
+    });
+    document.getElementById('copy-prev-week').addEventListener('click', () => {
+      const weekStart = getSelectedWeekStart();
+      if (!weekStart) return;
+      const prev = new Date(weekStart + 'T00:00:00');
+      prev.setDate(prev.getDate() - 7);
+      const prevStart = getWeekStart(
+        `${prev.getFullYear()}-${String(prev.getMonth() + 1).padStart(2, '0')}-${String(prev.getDate()).padStart(2, '0')}`,
+      );
+      if (!weeks[prevStart]) {
+        alert('Nothing was planned the previous week.');
+        return;
+      }
+      if (weekHasDishes(weekStart) && !confirm('Replace the meals planned this week? Cooked meals are kept.')) {
+        return;
+      }
+      const prevDays = Object.keys(weeks[prevStart].days).sort();
+      fillWeek(weekStart, (dayIndex, slotId) => {
+        const meal = weeks[prevStart].days[prevDays[dayIndex]].meals[slotId];
+        return meal ? meal.dishes : [];
+      });
+      saveData('copy previous week', ['weeks']);
+      renderPlan(weekStart);
+      showToast('Copied the previous week');
+    });
+    // Escape cancels a keyboard move in progress
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && pendingMove) {
+        const { weekStart, dishId } = pendingMove;
+        pendingMove = null;
+        renderPlan(weekStart);
+        focusDishHandle(dishId);
+      }
+    });
+  }
+
+  /**
+   * Take a recipe's ingredients out of the pantry.  Matching pantry
+   * items are used oldest best‑before first; items that run out are
+   * removed.  Nothing is changed for ingredients the pantry lacks, but
+   * they are reported as shortfalls.
+   * @param {Object} recipe
+   * @param {number} scale Multiplier from getServingScale
+   * @returns {{deductions: Array, shortfalls: Array}}
+   */
+  function deductRecipeFromPantry(recipe, scale) {
+    const deductions = [];
+    const shortfalls = [];
+    recipe.ingredients.forEach((ing) => {
+      let needed = (parseFloat(ing.qty) || 0) * scale;
+      const key = ingredientKey(ing.name);
+      const matches = pantry
+        .filter(
+          (p) =>
+            ingredientKey(p.name) === key &&
+            convertUnit(1, p.unitId, ing.unitId, ing.name) !== null,
+        )
+        .sort((a, b) => (a.bestBefore || '9999').localeCompare(b.bestBefore || '9999'));
+      matches.forEach((p) => {
+        if (needed <= 0) return;
+        const available = convertUnit(parseFloat(p.qty) || 0, p.unitId, ing.unitId, ing.name);
+        const used = Math.min(available, needed);
+        if (used <= 0) return;
+        needed -= used;
+        const usedInPantryUnit = convertUnit(used, ing.unitId, p.unitId, ing.name);
+        const remaining = parseFloat(((parseFloat(p.qty) || 0) - usedInPantryUnit).toFixed(2));
+        const deduction = {
+          pantryId: p.id,
+          name: p.name,
+          qty: parseFloat(usedInPantryUnit.toFixed(2)),
+          unitId: p.unitId,
+          removedItem: null,
+        };
+        if (remaining <= 0 && !(p.minQty > 0)) {
+          // Keep a copy so undo can put the item back exactly
+          deduction.removedItem = { ...p };
+          pantry = pantry.filter((item) => item.id !== p.id);
+        } else {
+          // Items with a par level stay, empty, so they get restocked
+          p.qty = Math.max(remaining, 0);
+        }
+        deductions.push(deduction);
+      });
+      if (needed > 0.005) {
+        shortfalls.push({ name: ing.name, qty: parseFloat(needed.toFixed(2)), unitId: ing.unitId });
+      }
+    });
+    return { deductions, shortfalls };
+  }
+
+  /**
+   * Put back what a cook log entry took from the pantry.
+   * @param {Object} entry Cook log entry
+   */
+  function restoreDeductions(entry) {
+    entry.deductions
+      .slice()
+      .reverse()
+      .forEach((d) => {
+        if (d.removedItem) {
+          pantry.push({ ...d.removedItem });
+          return;
+        }
+        const item = pantry.find((p) => p.id === d.pantryId);
+        if (item) {
+          item.qty = parseFloat(((parseFloat(item.qty) || 0) + d.qty).toFixed(2));
+        } else {
+          // The item was deleted since; recreate it with what was used
+          pantry.push({ id: d.pantryId, name: d.name, qty: d.qty, unitId: d.unitId, sectionId: 'misc', bestBefore: null });
+        }
+      });
+    entry.undone = true;
+  }
+
+  /**
+   * Find a planned dish by id.
+   * @param {string} weekStart
+   * @param {string} date
+   * @param {string} slotId
+   * @param {string} dishId
+   * @returns {Object|undefined}
+   */
+  function findDish(weekStart, date, slotId, dishId) {
+    const day = weeks[weekStart] && weeks[weekStart].days[date];
+    const meal = day && day.meals[slotId];
+    return meal ? meal.dishes.find((d) => d.id === dishId) : undefined;
+  }
+
+  /**
+   * Mark a planned dish as cooked, deducting its ingredients from the
+   * pantry and recording what was used in the cook log.
+   * @param {string} weekStart
+   * @param {string} date ISO date of the day
+   * @param {string} slotId
+   * @param {string} dishId
+   */
+  function markMealCooked(weekStart, date, slotId, dishId) {
+    const dish = findDish(weekStart, date, slotId, dishId);
+    const recipe = dish && recipes.find((r) => r.id === dish.recipeId);
+    if (!recipe) return;
+    const { deductions, shortfalls } = deductRecipeFromPantry(recipe, getServingScale(dish, recipe));
+    dish.cooked = true;
+    cookLog.push({
+      id: generateId(),
+      cookedAt: new Date().toISOString(),
+      weekStart,
+      date,
+      mealKey: slotId,
+      dishId,
+      recipeId: recipe.id,
+      recipeTitle: recipe.title,
+      deductions,
+      shortfalls,
+      undone: false,
+    });
+    saveData('mark dish cooked', ['weeks', 'pantry', 'cookLog']);
+    renderPantry();
+    renderCookLog();
+    if (shortfalls.length > 0) {
+      showToast(`Cooked ${recipe.title}; ${shortfalls.length} ingredient(s) were not in the pantry`);
+    } else {
+      showToast(`Cooked ${recipe.title}; pantry updated`);
+    }
+  }
+
+  /**
+   * Undo the cook log entry for a dish, returning the deducted
+   * quantities to the pantry and clearing the dish's cooked state.
+   * @param {string} weekStart
+   * @param {string} date
+   * @param {string} slotId
+   * @param {string} dishId
+   */
+  function undoMealCooked(weekStart, date, slotId, dishId) {
+    const entry = cookLog
+      .slice()
+      .reverse()
+      .find(
+        (e) =>
+          !e.undone &&
+          e.weekStart === weekStart &&
+          e.date === date &&
+          e.mealKey === slotId &&
+          // Entries logged before slots held several dishes have no dishId
+          (!e.dishId || e.dishId === dishId),
+      );
+    if (entry) restoreDeductions(entry);
+    const dish = findDish(weekStart, date, slotId, dishId);
+    if (dish) dish.cooked = false;
+    saveData('unmark dish cooked', ['weeks', 'pantry', 'cookLog']);
+    renderPantry();
+    renderCookLog();
+    if (entry) showToast(`Undid cooking ${entry.recipeTitle}; pantry restored`);
+  }
+
+  /**
+   * Render the cook log beneath the plan, newest first.
+   */
+  function renderCookLog() {
+    const listEl = document.getElementById('cook-log-list');
+    listEl.innerHTML = '';
+    if (cookLog.length === 0) {
+      const li = document.createElement('li');
+      li.textContent = 'Nothing cooked yet.';
+      listEl.appendChild(li);
+      return;
+    }
+    cookLog
+      .slice()
+      .reverse()
+      .slice(0, 30)
+      .forEach((entry) => {
+        const li = document.createElement('li');
+        if (entry.undone) li.classList.add('covered');
+        const span = document.createElement('span');
+        const describe = (d) => {
+          const unitObj = units.find((u) => u.id === d.unitId);
+          return `${d.qty} ${unitObj ? unitObj.short : ''} ${d.name}`;
+        };
+        const used = entry.deductions.length > 0 ? entry.deductions.map(describe).join(', ') : 'nothing from pantry';
+        const missing = entry.shortfalls.length > 0 ? `; not in pantry: ${entry.shortfalls.map(describe).join(', ')}` : '';
+        span.textContent = `${formatDayLabel(entry.date)} ${getSlotName(entry.mealKey)}: ${entry.recipeTitle} (used ${used}${missing})${
+          entry.undone ? ' (undone)' : ''
+        }`;
+        li.appendChild(span);
+        if (!entry.undone) {
+          const undoBtn = document.createElement('button');
+          undoBtn.classList.add('secondary');
+          undoBtn.textContent = 'Undo';
+          undoBtn.setAttribute('aria-label', `Undo cooking ${entry.recipeTitle}`);
+          undoBtn.addEventListener('click', () => {
+            // Older entries have no dishId; undo whichever dish is cooked
+            let dishId = entry.dishId;
+            if (!dishId) {
+              const day = weeks[entry.weekStart] && weeks[entry.weekStart].days[entry.date];
+              const meal = day && day.meals[entry.mealKey];
+              const cooked = meal && meal.dishes.find((d) => d.cooked && d.recipeId === entry.recipeId);
+              dishId = cooked ? cooked.id : null;
+            }
+            undoMealCooked(entry.weekStart, entry.date, entry.mealKey, dishId);
+            const ws = document.getElementById('week-start').value;
+            if (ws) renderPlan(getWeekStart(ws));
+          });
+          li.appendChild(undoBtn);
+        }
+        listEl.appendChild(li);
+      });
+  }
+
+  /**
+   * Render the tag filter chips above the recipe list: every tag used
+   * by a recipe, with the active ones pressed.
+   */
+  function renderTagFilters() {
+    const container = document.getElementById('recipe-tag-filters');
+    container.innerHTML = '';
+    const allTags = Array.from(new Set([].concat(...recipes.map((r) => r.tags || [])))).sort();
+    activeTagFilters = activeTagFilters.filter((t) => allTags.includes(t));
+    allTags.forEach((tag) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.classList.add('tag-chip');
+      const pressed = activeTagFilters.includes(tag);
+      chip.classList.toggle('active', pressed);
+      chip.setAttribute('aria-pressed', pressed ? 'true' : 'false');
+      chip.textContent = tag;
+      chip.addEventListener('click', () => {
+        activeTagFilters = pressed ? activeTagFilters.filter((t) => t !== tag) : [...activeTagFilters, tag];
+        renderRecipeList();
+      });
+      container.appendChild(chip);
+    });
+  }
+
+  /**
+   * Render the list of saved recipes in the Recipes section, sorted by
+   * title and narrowed by the search box, ingredient filter and tags.
+   */
+  function renderRecipeList() {
+    const listEl = document.getElementById('recipe-list');
+    listEl.innerHTML = '';
+    renderTagFilters();
+    const query = document.getElementById('recipe-search').value;
+    const ingredientQuery = normaliseIngredientName(document.getElementById('recipe-ingredient-filter').value);
+    const shown = getSortedRecipes().filter(
+      (recipe) =>
+        recipeMatchesQuery(recipe, query) &&
+        activeTagFilters.every((tag) => (recipe.tags || []).includes(tag)) &&
+        (!ingredientQuery ||
+          recipe.ingredients.some((ing) => normaliseIngredientName(ing.name).includes(ingredientQuery))),
+    );
+    document.getElementById('recipe-count').textContent =
+      shown.length === recipes.length ? `${recipes.length} recipe(s)` : `${shown.length} of ${recipes.length} recipe(s)`;
+    shown.forEach((recipe) => {
+      const li = document.createElement('li');
+      // Title span
+      const span = document.createElement('span');
+      span.textContent = recipe.servings
+        ? `${recipe.title} (serves ${recipe.servings})`
+        : recipe.title;
+      span.style.cursor = 'pointer';
+      span.title = 'Click to edit';
+      span.addEventListener('click', () => {
+        // Load recipe into form for editing
+        editingRecipeId = recipe.id;
+        // Populate form fields
+        document.getElementById('recipe-title').value = recipe.title;
+        document.getElementById('recipe-instructions').value = recipe.instructions;
+        document.getElementById('recipe-servings').value = recipe.servings || '';
+        document.getElementById('recipe-tags').value = (recipe.tags || []).join(', ');
+        renderRecipeSlotOptions(recipe.mealSlots || []);
+        document.getElementById('ingredients-container').innerHTML = '';
+        recipe.ingredients.forEach((ing) => addIngredientRow(ing));
+        // Show cancel editing button and change save button text
+        document.getElementById('cancel-edit').classList.remove('section-hidden');
+        document.querySelector('#recipe-form button.primary').textContent = 'Save Changes';
+        // Switch to Recipes section
+        document.querySelectorAll('nav button').forEach((b) => b.classList.remove('active'));
+        document.querySelector('nav button[data-section="recipes"]').classList.add('active');
+        document.querySelectorAll('main > section').forEach((sec) => sec.classList.add('section-hidden'));
+        document.getElementById('recipes').classList.remove('section-hidden');
+      });
+      li.appendChild(span);
+      // Per-serving nutrition, once any ingredient has nutrient data
+      const perServing = getServingNutrition(recipe);
+      if (perServing.missing.length < recipe.ingredients.length) {
+        const nutritionEl = createNutritionSummary(perServing);
+        nutritionEl.classList.add('recipe-nutrition');
+        nutritionEl.insertBefore(document.createTextNode('Per serving: '), nutritionEl.firstChild);
+        li.appendChild(nutritionEl);
+      }
+      if (recipe.tags && recipe.tags.length > 0) {
+        const tagsSpan = document.createElement('span');
+        tagsSpan.classList.add('recipe-tags');
+        recipe.tags.forEach((tag) => {
+          const chip = document.createElement('span');
+          chip.classList.add('tag-chip');
+          chip.textContent = tag;
+          tagsSpan.appendChild(chip);
+        });
+        li.appendChild(tagsSpan);
+      }
+      // Delete button
+      const delBtn = document.createElement('button');
+      delBtn.classList.add('close-btn');
+      delBtn.title = 'Delete recipe';
+      delBtn.setAttribute('aria-label', `Delete recipe: ${recipe.title}`);
+      delBtn.textContent = '✕';
+      delBtn.addEventListener('click', () => {
+        if (
+          confirm(
+            `Are you sure you want to delete the recipe "${recipe.title}"?`,
+          )
+        ) {
+          // Remove from recipes
+          recipes = recipes.filter((r) => r.id !== recipe.id);
+          // Remove from any week plans referencing this recipe.  Cooked
+          // dishes go too; the pantry and cook log keep what was used.
+          Object.values(weeks).forEach((wk) => {
+            Object.values(wk.days).forEach((day) => {
+              Object.values(day.meals).forEach((meal) => {
+                meal.dishes = meal.dishes.filter((dish) => dish.recipeId !== recipe.id);
+              });
+            });
+          });
+          saveData('delete recipe', ['recipes', 'weeks']);
+          renderRecipeList();
+          // Re‑render plan with current weekStart
+          const weekStart = document.getElementById('week-start').value;
+          if (weekStart) {
+            renderPlan(getWeekStart(weekStart));
+          }
+          showUndoToast(`Deleted recipe: ${recipe.title}`);
+        }
+      });
+      li.appendChild(delBtn);
+
+      // Instructions toggle button and container
+      // Only add if instructions exist
+      if (recipe.instructions && recipe.instructions.trim().length > 0) {
+        const infoBtn = document.createElement('button');
+        infoBtn.classList.add('info-btn');
+        infoBtn.setAttribute('aria-label', `Show instructions for ${recipe.title}`);
+        infoBtn.title = 'Show/hide instructions';
+        infoBtn.textContent = 'ℹ';
+        const instrDiv = document.createElement('div');
+        instrDiv.classList.add('recipe-instructions');
+        instrDiv.textContent = recipe.instructions;
+        instrDiv.style.display = 'none';
+        infoBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          const isHidden = instrDiv.style.display === 'none';
+          instrDiv.style.display = isHidden ? 'block' : 'none';
+          // Optionally toggle icon orientation
+          infoBtn.textContent = isHidden ? '▼' : 'ℹ';
+        });
+        li.appendChild(infoBtn);
+        li.appendChild(instrDiv);
+      }
+      listEl.appendChild(li);
+    });
+  }
+
+  /**
+   * Number of whole days from today until an ISO date (negative when
+   * the date has passed).
+   * @param {string} date ISO date string
+   * @returns {number}
+   */
+  function daysUntil(date) {
+    // Local midnight today; the UTC date can be a day off
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const target = new Date(date + 'T00:00:00');
+    return Math.round((target - today) / 86400000);
+  }
+
+  /**
+   * Classify a pantry item by its best‑before date.
+   * @param {Object} item Pantry item
+   * @returns {string} 'expired', 'soon' (within 7 days), 'later' or 'none'
+   */
+  function getExpiryStatus(item) {
+    if (!item.bestBefore) return 'none';
+    const days = daysUntil(item.bestBefore);
+    if (days < 0) return 'expired';
+    if (days <= 7) return 'soon';
+    return 'later';
+  }
+
+  /**
+   * Describe how long is left on a best‑before date, e.g. "expires in
+   * 3 days".
+   * @param {string} date ISO date string
+   * @returns {string}
+   */
+  function describeExpiry(date) {
+    const days = daysUntil(date);
+    if (days < -1) return `expired ${-days} days ago`;
+    if (days === -1) return 'expired yesterday';
+    if (days === 0) return 'expires today';
+    if (days === 1) return 'expires tomorrow';
+    return `expires in ${days} days`;
+  }
+
+  /**
+   * Update the badge on the Pantry nav button with the number of items
+   * that are expired or expire within a week.
+   */
+  function updatePantryBadge() {
+    const badge = document.getElementById('pantry-badge');
+    const count = pantry.filter((p) => ['expired', 'soon'].includes(getExpiryStatus(p))).length;
+    badge.textContent = count;
+    badge.classList.toggle('section-hidden', count === 0);
+    badge.setAttribute('aria-label', `${count} pantry items expired or expiring soon`);
+  }
+
+  /**
+   * Suggest recipes that use pantry items expiring within a week, so
+   * they get planned before they go off.  Rendered beneath the plan.
+   */
+  function renderUseItUp() {
+    const container = document.getElementById('use-it-up');
+    container.innerHTML = '';
+    const expiring = pantry
+      .filter((p) => getExpiryStatus(p) === 'soon')
+      .sort((a, b) => a.bestBefore.localeCompare(b.bestBefore));
+    if (expiring.length === 0) {
+      container.classList.add('section-hidden');
+      return;
+    }
+    container.classList.remove('section-hidden');
+    const heading = document.createElement('h3');
+    heading.textContent = 'Use it up';
+    container.appendChild(heading);
+    const itemsP = document.createElement('p');
+    itemsP.textContent = `Expiring soon: ${expiring
+      .map((p) => `${p.name} (${describeExpiry(p.bestBefore)})`)
+      .join(', ')}`;
+    container.appendChild(itemsP);
+    // Rank recipes by how many expiring items they use, soonest first
+    const expiringKeys = expiring.map((p) => ingredientKey(p.name));
+    const suggestions = recipes
+      .map((recipe) => {
+        const uses = [];
+        recipe.ingredients.forEach((ing) => {
+          const idx = expiringKeys.indexOf(ingredientKey(ing.name));
+          if (idx >= 0 && !uses.includes(expiring[idx].name)) uses.push(expiring[idx].name);
+        });
+        return { recipe, uses };
+      })
+      .filter((s) => s.uses.length > 0)
+      .sort((a, b) => b.uses.length - a.uses.length || a.recipe.title.localeCompare(b.recipe.title))
+      .slice(0, 5);
+    const ul = document.createElement('ul');
+    ul.classList.add('pantry-list');
+    if (suggestions.length === 0) {
+      const li = document.createElement('li');
+      li.textContent = 'No saved recipes use these items.';
+      ul.appendChild(li);
+    }
+    suggestions.forEach(({ recipe, uses }) => {
+      const li = document.createElement('li');
+      li.textContent = `${recipe.title} (uses ${uses.join(', ')})`;
+      ul.appendChild(li);
+    });
+    container.appendChild(ul);
+  }
+
+  /**
+   * Render the pantry list grouped by expiry: expired items first, then
+   * those expiring this week, then later and undated items.
+   */
+  function renderPantry() {
+    const listEl = document.getElementById('pantry-list');
+    listEl.innerHTML = '';
+    const groups = [
+      { status: 'expired', title: 'Expired' },
+      { status: 'soon', title: 'Expiring this week' },
+      { status: 'later', title: 'Later' },
+      { status: 'none', title: 'No best‑before date' },
+    ];
+    const sorted = pantry
+      .slice()
+      .sort((a, b) => (a.bestBefore || '9999').localeCompare(b.bestBefore || '9999'));
+    groups.forEach((group) => {
+      const groupItems = sorted.filter((item) => getExpiryStatus(item) === group.status);
+      if (groupItems.length === 0) return;
+      const header = document.createElement('li');
+      header.textContent = group.title;
+      header.style.fontWeight = 'bold';
+      listEl.appendChild(header);
+      groupItems.forEach((item) => renderPantryItem(listEl, item, group.status));
+    });
+    updatePantryBadge();
+    renderUseItUp();
+  }
+
+  /**
+   * Render a single pantry item row.
+   * @param {HTMLElement} listEl List to append to
+   * @param {Object} item Pantry item
+   * @param {string} status Expiry status from getExpiryStatus
+   */
+  function renderPantryItem(listEl, item, status) {
+    const li = document.createElement('li');
+    if (status === 'expired' || status === 'soon') li.classList.add(`expiry-${status}`);
+    const nameSpan = document.createElement('span');
+    // Compose display string: qty unit name (e.g. "2 cup flour")
+    const unitObj = units.find((u) => u.id === item.unitId);
+    const sectionObj = settings.sections.find((s) => s.id === item.sectionId);
+    const expiryStr = item.bestBefore
+      ? ` (bb ${item.bestBefore}${status === 'later' ? '' : `, ${describeExpiry(item.bestBefore)}`})`
+      : '';
+    nameSpan.textContent = `${item.qty} ${unitObj ? unitObj.short : ''} ${
+      item.name
+    }${expiryStr}`;
+    if (item.minQty > 0) {
+      const par = document.createElement('span');
+      par.classList.add('par-level');
+      const target = item.targetQty > item.minQty ? item.targetQty : item.minQty;
+      par.textContent = ` keep ${item.minQty}–${target} ${unitObj ? unitObj.short : ''}`.trimEnd();
+      if (parseFloat(item.qty) < item.minQty) {
+        par.classList.add('below-par');
+        par.textContent += ', low';
+      }
+      nameSpan.appendChild(par);
+    }
+    li.appendChild(nameSpan);
+    const secSpan = document.createElement('span');
+    secSpan.textContent = sectionObj ? sectionObj.name : '';
+    secSpan.style.fontStyle = 'italic';
+    secSpan.style.fontSize = '0.8rem';
+    secSpan.style.color = 'var(--accent-dark)';
+    li.appendChild(secSpan);
+    // Edit button
+    const editBtn = document.createElement('button');
+    editBtn.classList.add('close-btn');
+    editBtn.title = 'Edit item';
+    editBtn.setAttribute('aria-label', `Edit item: ${item.name}`);
+    editBtn.textContent = '✎';
+    editBtn.addEventListener('click', () => {
+      // Load item into pantry form for editing
+      editingPantryId = item.id;
+      document.getElementById('pantry-name').value = item.name;
+      document.getElementById('pantry-qty').value = item.qty;
+      document.getElementById('pantry-unit').value = item.unitId;
+      document.getElementById('pantry-section').value = item.sectionId;
+      document.getElementById('pantry-date').value = item.bestBefore || '';
+      document.getElementById('pantry-min').value = item.minQty || '';
+      document.getElementById('pantry-target').value = item.targetQty || '';
+      // Show cancel editing button and change submit button text
+      document.getElementById('cancel-pantry-edit').classList.remove('section-hidden');
+      document.getElementById('pantry-submit').textContent = 'Save Changes';
+      // Switch to Pantry tab
+      document.querySelectorAll('nav button').forEach((b) => b.classList.remove('active'));
+      document.querySelector('nav button[data-section="pantry"]').classList.add('active');
+      document.querySelectorAll('main > section').forEach((sec) => sec.classList.add('section-hidden'));
+      document.getElementById('pantry').classList.remove('section-hidden');
+    });
+    li.appendChild(editBtn);
+    // Delete button
+    const delBtn = document.createElement('button');
+    delBtn.classList.add('close-btn');
+    delBtn.title = 'Remove item';
+    delBtn.setAttribute('aria-label', `Remove item: ${item.name}`);
+    delBtn.textContent = '✕';
+    delBtn.addEventListener('click', () => {
+      pantry = pantry.filter((p) => p.id !== item.id);
+      saveData('remove pantry item', ['pantry']);
+      renderPantry();
+      // Notify the user, who can take it back from the toast
+      showUndoToast(`Removed from pantry: ${item.name}`);
+    });
+    li.appendChild(delBtn);
+    listEl.appendChild(li);
+  }
+
+  /**
+   * Total quantity of an ingredient the week's planned dishes that are
+   * not cooked yet will use, expressed in the given unit.  Amounts in
+   * units that do not convert are left out.
+   * @param {Object} week
+   * @param {string} name Ingredient name
+   * @param {string} unitId
+   * @returns {number}
+   */
+  function getPlannedUsage(week, name, unitId) {
+    const key = ingredientKey(name);
+    let total = 0;
+    forEachPlannedDish(week, (dish, recipe) => {
+      if (dish.cooked) return;
+      const scale = getServingScale(dish, recipe);
+      recipe.ingredients.forEach((ing) => {
+        if (ingredientKey(ing.name) !== key) return;
+        const converted = convertUnit((parseFloat(ing.qty) || 0) * scale, ing.unitId, unitId, ing.name);
+        if (converted !== null) total += converted;
+      });
+    });
+    return total;
+  }
+
+  /**
+   * Whether a staple should go on the list for a week.
+   * @param {Object} staple
+   * @param {string} weekStart ISO date of the week's Monday
+   * @returns {boolean}
+   */
+  function isStapleDue(staple, weekStart) {
+    if (staple.rule === 'below') {
+      return getPantryQuantity(staple.name, staple.unitId) < (parseFloat(staple.threshold) || 0);
+    }
+    if (staple.rule === 'biweekly') {
+      const weeksApart = Math.round((new Date(weekStart) - new Date(staple.since)) / (7 * 24 * 60 * 60 * 1000));
+      return weeksApart % 2 === 0;
+    }
+    return true;
+  }
+
+  /**
+   * Compute and render the grocery list for the selected week.
+   */
+  function generateGroceryList() {
+    const weekStartInput = document.getElementById('week-start');
+    if (!weekStartInput.value) {
+      alert('Please select a week start date.');
+      return;
+    }
+    const weekStart = getWeekStart(weekStartInput.value);
+    ensureWeek(weekStart);
+    const week = weeks[weekStart];
+    // Lines are grouped by ingredient (see ingredientKey), so spelling
+    // variants and aliases merge and catalog ingredients are filed
+    // under their default section.  Within a group, each ingredient is
+    // added to the first line whose unit it converts to; only genuinely
+    // incompatible units (e.g. cans vs grams) produce a separate line.
+    const aggregated = {};
+    // Aggregate ingredients from recipes.  Cooked dishes are skipped:
+    // their ingredients already came out of the pantry.
+    forEachPlannedDish(week, (dish, recipe) => {
+      if (dish.cooked) return;
+      const scale = getServingScale(dish, recipe);
+      recipe.ingredients.forEach((ing) => {
+        const key = ingredientKey(ing.name);
+        const entry = findCatalogEntry(ing.name);
+        const qty = (parseFloat(ing.qty) || 0) * scale;
+        if (!aggregated[key]) aggregated[key] = [];
+        const line = aggregated[key].find(
+          (l) => convertUnit(qty, ing.unitId, l.unitId, ing.name) !== null,
+        );
+        if (line) {
+          line.qty += convertUnit(qty, ing.unitId, line.unitId, ing.name);
+        } else {
+          aggregated[key].push({
+            name: entry ? entry.name : ing.name,
+            qty,
+            unitId: ing.unitId,
+            sectionId: entry ? entry.sectionId : ing.sectionId,
+            covered: false,
+          });
+        }
+      });
+    });
+    let items = [].concat(...Object.values(aggregated));
+    // Subtract pantry quantities, with unit conversions
+    items.forEach((item) => {
+      item.qty -= getPantryQuantity(item.name, item.unitId);
+      if (item.qty <= 0) {
+        item.covered = true;
+        item.qty = 0;
+      }
+    });
+    // Merge carriedItems and preserve previous check state
+    // Include carried over items if present
+    if (carriedItems && carriedItems.length > 0) {
+      carriedItems.forEach((ci) => {
+        // Attempt to find matching item by ingredient and convertible unit
+        const idx = items.findIndex(
+          (it) =>
+            ingredientKey(it.name) === ingredientKey(ci.name) &&
+            convertUnit(ci.qty, ci.unitId, it.unitId, it.name) !== null,
+        );
+        if (idx >= 0) {
+          items[idx].qty += convertUnit(ci.qty, ci.unitId, items[idx].unitId, items[idx].name);
+          items[idx].covered = false;
+        } else {
+          // Clone carried item and mark as not covered
+          items.push({ ...ci, covered: false, checked: ci.checked || false });
+        }
+      });
+    }
+    // Pantry par levels: anything the week's cooking will leave below its
+    // minimum is topped back up to its target on a separate line.  A
+    // recipe line already covers any shortfall below zero.
+    const parChecked = new Set();
+    pantry
+      .filter((p) => p.minQty > 0)
+      .forEach((p) => {
+        const key = ingredientKey(p.name);
+        if (parChecked.has(key)) return;
+        parChecked.add(key);
+        const projected = getPantryQuantity(p.name, p.unitId) - getPlannedUsage(week, p.name, p.unitId);
+        if (projected >= p.minQty) return;
+        const target = p.targetQty > p.minQty ? p.targetQty : p.minQty;
+        const entry = findCatalogEntry(p.name);
+        items.push({
+          name: entry ? entry.name : p.name,
+          qty: target - Math.max(projected, 0),
+          unitId: p.unitId,
+          sectionId: p.sectionId,
+          covered: false,
+          restock: true,
+        });
+      });
+    // Staples due this week are bought whatever the recipes need, so
+    // they add to a matching line rather than being netted off the pantry
+    staples
+      .filter((staple) => isStapleDue(staple, weekStart))
+      .forEach((staple) => {
+        const line = items.find(
+          (it) =>
+            !it.manual &&
+            !it.restock &&
+            ingredientKey(it.name) === ingredientKey(staple.name) &&
+            convertUnit(staple.qty, staple.unitId, it.unitId, it.name) !== null,
+        );
+        if (line) {
+          line.qty += convertUnit(staple.qty, staple.unitId, line.unitId, line.name);
+          line.covered = false;
+          line.staple = true;
+        } else {
+          items.push({
+            name: staple.name,
+            qty: staple.qty,
+            unitId: staple.unitId,
+            sectionId: staple.sectionId,
+            covered: false,
+            staple: true,
+          });
+        }
+      });
+    // Items typed into this week's list by hand stay on it
+    if (lastList && lastList.weekStart === weekStart && lastList.items) {
+      lastList.items.filter((i) => i.manual).forEach((i) => items.push({ ...i }));
+    }
+    // Round quantities to 2 decimals
+    items.forEach((i) => {
+      i.qty = parseFloat(i.qty.toFixed(2));
+    });
+    // Remove any items that lack a valid name.  Old versions of the
+    // application may have persisted blank entries, which would
+    // otherwise appear as empty rows in the grocery list.  Skip
+    // entries with no name or only whitespace.
+    items = items.filter((i) => i.name && i.name.trim().length > 0);
+    // Restore checked state from previous last list if same item exists,
+    // along with whether it was already put in the pantry at checkout
+    items.forEach((i) => {
+      i.checked = false;
+      // Generate key to match previous list items
+      const key = `${ingredientKey(i.name)}|${i.unitId}|${!!i.restock}`;
+      if (lastList && lastList.items && lastList.weekStart === weekStart) {
+        const prev = lastList.items.find(
+          (pi) => `${ingredientKey(pi.name)}|${pi.unitId}|${!!pi.restock}` === key,
+        );
+        if (prev) {
+          i.checked = prev.checked;
+          if (prev.stocked) i.stocked = true;
+          if (typeof prev.paid === 'number') i.paid = prev.paid;
+        }
+      }
+    });
+    // Save lastList for this week, archiving the previous week's list
+    closeCheckout();
+    if (lastList && lastList.weekStart && lastList.weekStart !== weekStart) archiveList(lastList);
+    lastList = { weekStart, items };
+    saveData('generate list', ['lastList', 'listHistory']);
+    // Show list controls
+    document.getElementById('list-controls').classList.remove('section-hidden');
+    // Uncheck hide toggles by default
+    document.getElementById('hide-checked').checked = false;
+    document.getElementById('hide-covered').checked = true;
+    // Render interactive list
+    renderGroceryList();
+    showToast('Generated grocery list');
+  }
+
+  /**
+   * Format an amount of money with the configured currency symbol.
+   * @param {number} amount
+   * @returns {string}
+   */
+  function formatPrice(amount) {
+    return `${settings.currency}${amount.toFixed(2)}`;
+  }
+
+  /**
+   * Estimated price per one `unitId` of the ingredient's price entry.
+   * Recorded purchases (the last five) take over from the entered pack
+   * price once there are any, so estimates follow what was really paid.
+   * @param {Object} entry Price entry
+   * @returns {number|null}
+   */
+  function getUnitPrice(entry) {
+    const paid = (entry.purchases || [])
+      .slice(-5)
+      .map((p) => {
+        const qty = convertUnit(p.qty, p.unitId, entry.unitId, entry.name);
+        return qty > 0 ? p.paid / qty : null;
+      })
+      .filter((v) => v !== null);
+    if (paid.length > 0) return paid.reduce((a, b) => a + b, 0) / paid.length;
+    return entry.packQty > 0 && entry.price >= 0 ? entry.price / entry.packQty : null;
+  }
+
+  /**
+   * Estimate what buying a grocery line will cost.  Shops sell whole
+   * packs, so the quantity is rounded up to the pack size.
+   * @param {Object} item Grocery line { name, qty, unitId }
+   * @returns {{cost: number, packs: number}|null} null when the
+   *   ingredient has no price or its units do not convert
+   */
+  function estimateItemCost(item) {
+    const entry = prices[ingredientKey(item.name)];
+    if (!entry || !(item.qty > 0)) return null;
+    const unitPrice = getUnitPrice(entry);
+    const needed = convertUnit(item.qty, item.unitId, entry.unitId, item.name);
+    if (unitPrice === null || needed === null) return null;
+    const packs = Math.ceil(needed / entry.packQty - 1e-9);
+    return { cost: packs * entry.packQty * unitPrice, packs };
+  }
+
+  /**
+   * Record the price actually paid for a purchase, creating a price
+   * entry from it when the ingredient has none yet.
+   * @param {Object} purchase { name, qty, unitId, paid }
+   */
+  function recordPurchasePrice(purchase) {
+    const key = ingredientKey(purchase.name);
+    if (!prices[key]) {
+      prices[key] = {
+        name: purchase.name,
+        price: purchase.paid,
+        packQty: purchase.qty,
+        unitId: purchase.unitId,
+        purchases: [],
+      };
+    }
+    const entry = prices[key];
+    if (convertUnit(purchase.qty, purchase.unitId, entry.unitId, entry.name) === null) return;
+    entry.purchases = (entry.purchases || []).concat({
+      date: new Date().toISOString().substr(0, 10),
+      paid: purchase.paid,
+      qty: purchase.qty,
+      unitId: purchase.unitId,
+    });
+  }
+
+  /**
+   * Store a copy of a grocery list in the history, replacing any earlier
+   * copy of the same week's list.
+   * @param {Object} list { weekStart, items }
+   */
+  function archiveList(list) {
+    const items = list.items
+      .filter((item) => item && item.name)
+      .map((item) => {
+        const estimate = item.covered ? null : estimateItemCost(item);
+        return {
+          name: item.name,
+          qty: item.qty,
+          unitId: item.unitId,
+          sectionId: item.sectionId,
+          checked: !!item.checked,
+          covered: !!item.covered,
+          cost: typeof item.paid === 'number' ? item.paid : estimate ? parseFloat(estimate.cost.toFixed(2)) : null,
+          paid: typeof item.paid === 'number',
+        };
+      });
+    if (items.length === 0) return;
+    listHistory = listHistory.filter((entry) => entry.weekStart !== list.weekStart);
+    listHistory.push({ weekStart: list.weekStart, archivedAt: new Date().toISOString(), items });
+    listHistory.sort((a, b) => a.weekStart.localeCompare(b.weekStart));
+  }
+
+  /**
+   * Add a purchased quantity to the pantry.  If the pantry already holds
+   * the same ingredient in a compatible unit the quantity is added to
+   * that entry (keeping the earlier best‑before date), otherwise a new
+   * entry is created.
+   * @param {Object} purchase { name, qty, unitId, sectionId, bestBefore }
+   */
+  function addToPantry(purchase) {
+    const key = ingredientKey(purchase.name);
+    const existing = pantry.find(
+      (p) =>
+        ingredientKey(p.name) === key &&
+        convertUnit(1, purchase.unitId, p.unitId, purchase.name) !== null,
+    );
+    if (existing) {
+      const added = convertUnit(purchase.qty, purchase.unitId, existing.unitId, purchase.name);
+      existing.qty = parseFloat(((parseFloat(existing.qty) || 0) + added).toFixed(2));
+      if (purchase.bestBefore && (!existing.bestBefore || purchase.bestBefore < existing.bestBefore)) {
+        existing.bestBefore = purchase.bestBefore;
+      }
+      return;
+    }
+    pantry.push({
+      id: generateId(),
+      name: purchase.name,
+      qty: purchase.qty,
+      unitId: purchase.unitId,
+      sectionId: purchase.sectionId,
+      bestBefore: purchase.bestBefore || null,
+    });
+  }
+
+  /**
+   * Open the checkout panel listing checked grocery items that have not
+   * yet been moved into the pantry, with editable quantities and
+   * best‑before dates.
+   */
+  function openCheckout() {
+    const pending = lastList.items
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => item.checked && !item.stocked);
+    if (pending.length === 0) {
+      showToast('Tick the items you bought first');
+      return;
+    }
+    const listEl = document.getElementById('checkout-items');
+    listEl.innerHTML = '';
+    pending.forEach(({ item, index }) => {
+      const li = document.createElement('li');
+      li.classList.add('ingredient-row');
+      li.dataset.index = index;
+      const nameSpan = document.createElement('span');
+      nameSpan.textContent = item.name;
+      li.appendChild(nameSpan);
+      const qtyInput = document.createElement('input');
+      qtyInput.type = 'number';
+      qtyInput.min = '0';
+      qtyInput.step = 'any';
+      // Covered items have a list quantity of zero; leave the field
+      // blank so the actual amount bought gets typed in.
+      qtyInput.value = item.qty > 0 ? item.qty : '';
+      qtyInput.setAttribute('aria-label', `Quantity bought of ${item.name}`);
+      li.appendChild(qtyInput);
+      const unitSelect = document.createElement('select');
+      populateUnitSelect(unitSelect);
+      unitSelect.value = item.unitId;
+      unitSelect.setAttribute('aria-label', `Unit for ${item.name}`);
+      li.appendChild(unitSelect);
+      const dateInput = document.createElement('input');
+      dateInput.type = 'date';
+      dateInput.setAttribute('aria-label', `Best before date for ${item.name}`);
+      li.appendChild(dateInput);
+      // Price paid, prefilled with the estimate
+      const paidInput = document.createElement('input');
+      paidInput.type = 'number';
+      paidInput.min = '0';
+      paidInput.step = '0.01';
+      paidInput.classList.add('checkout-paid');
+      paidInput.placeholder = `Paid (${settings.currency})`;
+      const estimate = estimateItemCost(item);
+      if (estimate) paidInput.placeholder = `≈ ${formatPrice(estimate.cost)}`;
+      // A price already typed on the list is carried over
+      if (typeof item.paid === 'number') paidInput.value = item.paid;
+      paidInput.setAttribute('aria-label', `Price paid for ${item.name}`);
+      li.appendChild(paidInput);
+      listEl.appendChild(li);
+    });
+    document.getElementById('checkout-panel').classList.remove('section-hidden');
+  }
+
+  /**
+   * Close the checkout panel without changing anything.
+   */
+  function closeCheckout() {
+    document.getElementById('checkout-panel').classList.add('section-hidden');
+    document.getElementById('checkout-items').innerHTML = '';
+  }
+
+  /**
+   * Move the items in the checkout panel into the pantry and mark them
+   * as stocked on the list so they are not added twice.
+   */
+  function confirmCheckout() {
+    let count = 0;
+    document.querySelectorAll('#checkout-items li').forEach((li) => {
+      const item = lastList.items[parseInt(li.dataset.index, 10)];
+      if (!item) return;
+      const [qtyInput, unitSelect, dateInput, paidInput] = li.querySelectorAll('input, select');
+      const qty = parseFloat(qtyInput.value);
+      const paid = parseFloat(paidInput.value);
+      if (qty > 0 && paid >= 0) {
+        recordPurchasePrice({ name: item.name, qty, unitId: unitSelect.value, paid });
+        item.paid = paid;
+      }
+      if (qty > 0) {
+        addToPantry({
+          name: item.name,
+          qty,
+          unitId: unitSelect.value,
+          sectionId: item.sectionId,
+          bestBefore: dateInput.value || null,
+        });
+        count++;
+      }
+      item.stocked = true;
+    });
+    archiveList(lastList);
+    saveData('finish shopping', ['lastList', 'listHistory', 'pantry', 'prices']);
+    closeCheckout();
+    renderPantry();
+    renderPrices();
+    renderGroceryList();
+    showToast(`Moved ${count} item(s) into the pantry`);
+  }
+
+  /**
+   * Measure how much of a recipe the pantry can cover at its base yield.
+   * Each ingredient contributes the fraction of its quantity on hand,
+   * so half the flour counts as half covered.
+   * @param {Object} recipe
+   * @returns {{coverage: number, missing: Array}} coverage from 0 to 1
+   *   and the shortfall of each ingredient not fully covered
+   */
+  function getRecipeCoverage(recipe) {
+    const missing = [];
+    let covered = 0;
+    recipe.ingredients.forEach((ing) => {
+      const needed = parseFloat(ing.qty) || 0;
+      const have = getPantryQuantity(ing.name, ing.unitId);
+      if (needed <= 0) {
+        covered += 1;
+        return;
+      }
+      covered += Math.min(have, needed) / needed;
+      if (have < needed) {
+        missing.push({ name: ing.name, qty: parseFloat((needed - have).toFixed(2)), unitId: ing.unitId });
+      }
+    });
+    const count = recipe.ingredients.length;
+    return { coverage: count > 0 ? covered / count : 0, missing };
+  }
+
+  /**
+   * Render the "What can I cook?" view: every recipe ranked by how much
+   * of it the pantry covers, with what is missing and a button to put
+   * it in the plan slot chosen at the top of the view.
+   */
+  function renderCookView() {
+    const slotSelect = document.getElementById('cook-slot');
+    const previousSlot = slotSelect.value || 'dinner';
+    slotSelect.innerHTML = '';
+    settings.mealSlots.forEach((slot) => {
+      const opt = document.createElement('option');
+      opt.value = slot.id;
+      opt.textContent = slot.name;
+      slotSelect.appendChild(opt);
+    });
+    if (settings.mealSlots.find((slot) => slot.id === previousSlot)) slotSelect.value = previousSlot;
+    const weekStartVal = document.getElementById('week-start').value;
+    const weekStart = weekStartVal ? getWeekStart(weekStartVal) : null;
+    const daySelect = document.getElementById('cook-day');
+    const previousDay = daySelect.value;
+    daySelect.innerHTML = '';
+    if (weekStart) {
+      ensureWeek(weekStart);
+      Object.keys(weeks[weekStart].days)
+        .sort()
+        .forEach((date) => {
+          const opt = document.createElement('option');
+          opt.value = date;
+          opt.textContent = formatDayLabel(date);
+          daySelect.appendChild(opt);
+        });
+      if (weeks[weekStart].days[previousDay]) daySelect.value = previousDay;
+    }
+    const listEl = document.getElementById('cook-list');
+    listEl.innerHTML = '';
+    if (recipes.length === 0) {
+      const li = document.createElement('li');
+      li.textContent = 'No recipes saved yet.';
+      listEl.appendChild(li);
+      return;
+    }
+    recipes
+      .map((recipe) => ({ recipe, ...getRecipeCoverage(recipe) }))
+      .sort(
+        (a, b) =>
+          b.coverage - a.coverage ||
+          a.missing.length - b.missing.length ||
+          a.recipe.title.localeCompare(b.recipe.title),
+      )
+      .forEach(({ recipe, coverage, missing }) => {
+        const li = document.createElement('li');
+        const info = document.createElement('div');
+        info.classList.add('cook-info');
+        const title = document.createElement('strong');
+        title.textContent = `${recipe.title} (${Math.round(coverage * 100)}%)`;
+        info.appendChild(title);
+        const missingDiv = document.createElement('div');
+        missingDiv.classList.add('cook-missing');
+        if (missing.length === 0) {
+          missingDiv.textContent = 'Everything is in the pantry';
+        } else {
+          missingDiv.textContent = `Missing: ${missing
+            .map((m) => {
+              const unitObj = units.find((u) => u.id === m.unitId);
+              return `${m.qty} ${unitObj ? unitObj.short : ''} ${m.name}`;
+            })
+            .join(', ')}`;
+        }
+        info.appendChild(missingDiv);
+        li.appendChild(info);
+        const addBtn = document.createElement('button');
+        addBtn.classList.add('secondary');
+        addBtn.textContent = 'Add to plan';
+        addBtn.setAttribute('aria-label', `Add ${recipe.title} to the plan`);
+        addBtn.addEventListener('click', () => addRecipeToPlan(recipe));
+        li.appendChild(addBtn);
+        listEl.appendChild(li);
+      });
+  }
+
+  /**
+   * Add a recipe as a dish in the plan slot selected in the cook view.
+   * @param {Object} recipe
+   */
+  function addRecipeToPlan(recipe) {
+    const weekStartVal = document.getElementById('week-start').value;
+    const date = document.getElementById('cook-day').value;
+    const slotId = document.getElementById('cook-slot').value;
+    if (!weekStartVal || !date) {
+      alert('Please select a week start date.');
+      return;
+    }
+    const weekStart = getWeekStart(weekStartVal);
+    ensureWeek(weekStart);
+    const meal = getSlot(weeks[weekStart].days[date], slotId);
+    if (meal.dishes.some((d) => d.recipeId === recipe.id) && !confirm(`${recipe.title} is already planned there. Add it again?`)) {
+      return;
+    }
+    meal.dishes.push({ id: generateId(), recipeId: recipe.id, servings: null, cooked: false });
+    saveData('plan recipe', ['weeks']);
+    renderPlan(weekStart);
+    showToast(`Planned ${recipe.title} for ${formatDayLabel(date)} ${getSlotName(slotId)}`);
+  }
+
+  /**
+   * Render a horizontal bar chart into a container.
+   * @param {HTMLElement} container
+   * @param {Array<{label: string, value: number, text?: string}>} rows
+   * @param {string} emptyText Shown when there are no rows
+   */
+  function renderBarChart(container, rows, emptyText) {
+    container.innerHTML = '';
+    if (rows.length === 0) {
+      const p = document.createElement('p');
+      p.classList.add('chart-empty');
+      p.textContent = emptyText;
+      container.appendChild(p);
+      return;
+    }
+    const max = Math.max(...rows.map((r) => r.value)) || 1;
+    const list = document.createElement('ul');
+    list.classList.add('bar-chart');
+    rows.forEach((row) => {
+      const li = document.createElement('li');
+      const label = document.createElement('span');
+      label.classList.add('bar-label');
+      label.textContent = row.label;
+      li.appendChild(label);
+      const track = document.createElement('span');
+      track.classList.add('bar-track');
+      const bar = document.createElement('span');
+      bar.classList.add('bar');
+      bar.style.width = `${Math.max((row.value / max) * 100, 1)}%`;
+      track.appendChild(bar);
+      li.appendChild(track);
+      const value = document.createElement('span');
+      value.classList.add('bar-value');
+      value.textContent = row.text || String(row.value);
+      li.appendChild(value);
+      li.setAttribute('aria-label', `${row.label}: ${value.textContent}`);
+      list.appendChild(li);
+    });
+    container.appendChild(list);
+  }
+
+  /**
+   * Render the History view: charts built from the list archive and
+   * the plan, and the archived lists themselves.
+   */
+  function renderHistory() {
+    const top = 10;
+    // Spend per week: prices paid where recorded, estimates otherwise
+    const spendRows = listHistory.map((entry) => {
+      const bought = entry.items.filter((i) => i.checked && i.cost !== null);
+      const total = bought.reduce((sum, i) => sum + i.cost, 0);
+      const estimated = bought.some((i) => !i.paid);
+      return {
+        label: formatDayLabel(entry.weekStart),
+        value: total,
+        text: `${formatPrice(total)}${estimated ? ' (est.)' : ''}`,
+      };
+    });
+    renderBarChart(document.getElementById('history-spend'), spendRows.slice(-12), 'No archived lists yet.');
+    // Items bought (ticked off) most often, counted once per week
+    const bought = {};
+    const skipped = {};
+    listHistory.forEach((entry) => {
+      const seenBought = new Set();
+      const seenSkipped = new Set();
+      entry.items.forEach((item) => {
+        const key = ingredientKey(item.name);
+        if (item.checked && !seenBought.has(key)) {
+          seenBought.add(key);
+          bought[key] = bought[key] || { label: item.name, value: 0 };
+          bought[key].value++;
+        } else if (!item.checked && !item.covered && !seenSkipped.has(key)) {
+          seenSkipped.add(key);
+          skipped[key] = skipped[key] || { label: item.name, value: 0 };
+          skipped[key].value++;
+        }
+      });
+    });
+    const byCount = (a, b) => b.value - a.value || a.label.localeCompare(b.label);
+    const asWeeks = (row) => ({ ...row, text: `${row.value} week(s)` });
+    renderBarChart(
+      document.getElementById('history-bought'),
+      Object.values(bought).sort(byCount).slice(0, top).map(asWeeks),
+      'Nothing ticked off yet.',
+    );
+    // Items left unticked on two or more lists are probably not needed
+    renderBarChart(
+      document.getElementById('history-skipped'),
+      Object.values(skipped)
+        .filter((row) => row.value >= 2)
+        .sort(byCount)
+        .slice(0, top)
+        .map(asWeeks),
+      'No item has been left unticked more than once.',
+    );
+    // How often each recipe has been planned, across every week
+    const planned = {};
+    Object.values(weeks).forEach((week) => {
+      forEachPlannedDish(week, (dish, recipe) => {
+        planned[recipe.id] = planned[recipe.id] || { label: recipe.title, value: 0 };
+        planned[recipe.id].value++;
+      });
+    });
+    renderBarChart(
+      document.getElementById('history-recipes'),
+      Object.values(planned)
+        .sort(byCount)
+        .slice(0, top)
+        .map((row) => ({ ...row, text: `${row.value}×` })),
+      'No recipes planned yet.',
+    );
+    // The archived lists, newest first
+    const listEl = document.getElementById('history-lists');
+    listEl.innerHTML = '';
+    listHistory
+      .slice()
+      .reverse()
+      .forEach((entry) => {
+        const li = document.createElement('li');
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        const boughtCount = entry.items.filter((i) => i.checked).length;
+        summary.textContent = `Week of ${formatDayLabel(entry.weekStart)}: ${boughtCount} of ${entry.items.length} item(s) bought`;
+        details.appendChild(summary);
+        const itemsEl = document.createElement('ul');
+        itemsEl.classList.add('history-items');
+        entry.items.forEach((item) => {
+          const itemLi = document.createElement('li');
+          if (item.checked) itemLi.classList.add('checked');
+          const unitObj = units.find((u) => u.id === item.unitId);
+          const cost = item.cost !== null ? ` — ${item.paid ? 'paid ' : '≈ '}${formatPrice(item.cost)}` : '';
+          itemLi.textContent = `${item.checked ? '✓' : '○'} ${item.qty} ${unitObj ? unitObj.short : ''} ${item.name}${cost}`;
+          itemsEl.appendChild(itemLi);
+        });
+        details.appendChild(itemsEl);
+        li.appendChild(details);
+        const delBtn = document.createElement('button');
+        delBtn.classList.add('close-btn');
+        delBtn.title = 'Delete from history';
+        delBtn.setAttribute('aria-label', `Delete the list for the week of ${entry.weekStart} from history`);
+        delBtn.textContent = '✕';
+        delBtn.addEventListener('click', () => {
+          if (!confirm(`Delete the list for the week of ${formatDayLabel(entry.weekStart)} from history?`)) return;
+          listHistory = listHistory.filter((e) => e !== entry);
+          saveData('delete list from history', ['listHistory']);
+          renderHistory();
+        });
+        li.appendChild(delBtn);
+        listEl.appendChild(li);
+      });
+  }
+
+  /**
+   * Attach event listeners for navigation buttons to switch between
+   * application sections.
+   */
+  function setupNavigation() {
+    const navButtons = document.querySelectorAll('nav button');
+    navButtons.forEach((btn) => {
+      btn.addEventListener('click', () => {
+        navButtons.forEach((b) => b.classList.remove('active'));
+        btn.classList.add('active');
+        const target = btn.getAttribute('data-section');
+        document
+          .querySelectorAll('main > section')
+          .forEach((sec) => sec.classList.add('section-hidden'));
+        document.getElementById(target).classList.remove('section-hidden');
+        // The cook view depends on the pantry, recipes and selected
+        // week, so refresh it whenever it is opened.
+        if (target === 'cook') renderCookView();
+        if (target === 'history') renderHistory();
+      });
+    });
+  }
+
+  /**
+   * Parse a quantity at the start of a string: whole numbers, decimals,
+   * fractions, mixed numbers ("1 1/2"), unicode fractions ("1½"),
+   * ranges ("2-3", taking the upper bound so enough is bought) and
+   * number words ("a", "two").
+   * @param {string} text
+   * @returns {{value: number, rest: string}|null}
+   */
+  function parseQuantity(text) {
+    const vulgar = { '¼': '1/4', '½': '1/2', '¾': '3/4', '⅓': '1/3', '⅔': '2/3', '⅛': '1/8', '⅜': '3/8', '⅝': '5/8', '⅞': '7/8' };
+    const normalised = text.replace(/(\d?)\s*([¼½¾⅓⅔⅛⅜⅝⅞])/g, (m, whole, frac) =>
+      `${whole ? `${whole} ` : ''}${vulgar[frac]}`,
+    );
+    const number = '(\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:[.,]\\d+)?)';
+    const match = normalised.match(new RegExp(`^${number}(?:\\s*(?:-|–|to)\\s*${number})?`));
+    const toValue = (str) =>
+      str
+        .trim()
+        .split(/\s+/)
+        .reduce((sum, part) => {
+          const [num, den] = part.split('/');
+          return sum + (den ? parseFloat(num) / parseFloat(den) : parseFloat(num.replace(',', '.')));
+        }, 0);
+    if (match) {
+      const value = toValue(match[2] || match[1]);
+      return { value, rest: normalised.slice(match[0].length).trim() };
+    }
+    const words = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, dozen: 12 };
+    const wordMatch = normalised.match(/^([a-z]+)\b\s*/i);
+    if (wordMatch && words[wordMatch[1].toLowerCase()] !== undefined) {
+      return { value: words[wordMatch[1].toLowerCase()], rest: normalised.slice(wordMatch[0].length).trim() };
+    }
+    return null;
+  }
+
+  /**
+   * Match a unit name at the start of a string using each unit's id,
+   * short form and aliases.  Longer spellings are tried first so
+   * "fl oz" wins over "oz".
+   * @param {string} text
+   * @returns {{unitId: string, rest: string}|null}
+   */
+  function parseUnit(text) {
+    const candidates = [];
+    units.forEach((u) => {
+      [u.id, u.short, ...(u.aliases || [])].forEach((alias) => candidates.push({ alias, unitId: u.id }));
+    });
+    candidates.sort((a, b) => b.alias.length - a.alias.length);
+    for (const { alias, unitId } of candidates) {
+      const escaped = alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s*');
+      // Single-letter abbreviations are case sensitive (T = tbsp, t = tsp)
+      const flags = alias.length === 1 ? '' : 'i';
+      const match = text.match(new RegExp(`^${escaped}\\.?(?![a-z])`, flags));
+      if (match) return { unitId, rest: text.slice(match[0].length).trim() };
+    }
+    return null;
+  }
+
+  /**
+   * Parse one free-text ingredient line such as "1 1/2 cups flour",
+   * "2 x 400g cans chopped tomatoes" or "pinch of salt".  Units and
+   * sections not given in the line come from the ingredient catalog.
+   * Lines without a recognisable quantity are returned with `ok` false
+   * so they can be flagged for manual correction.
+   * @param {string} line
+   * @returns {{name: string, qty: number, unitId: string, sectionId: string, ok: boolean}}
+   */
+  function parseIngredientLine(line) {
+    let rest = line.replace(/^\s*(?:[-*•▢☐]|\d+[.)]\s)\s*/, '').trim();
+    let ok = true;
+    // Pack multipliers: "2 x 400g ..."
+    let multiplier = 1;
+    const multi = rest.match(/^(\d+)\s*[x×]\s*(?=\d)/i);
+    if (multi) {
+      multiplier = parseInt(multi[1], 10);
+      rest = rest.slice(multi[0].length);
+    }
+    let qty = null;
+    const quantity = parseQuantity(rest);
+    if (quantity) {
+      qty = quantity.value;
+      rest = quantity.rest;
+    }
+    let unitId = null;
+    const pinch = rest.match(/^(pinch|dash|smidgen)(?:es|s)?\b/i);
+    if (pinch) {
+      unitId = 'tsp';
+      qty = (qty || 1) * pinchMeasures[pinch[1].toLowerCase()];
+      rest = rest.slice(pinch[0].length).trim();
+    } else {
+      const unit = parseUnit(rest);
+      if (unit && qty !== null) {
+        unitId = unit.unitId;
+        rest = unit.rest;
+        // "400g cans ..." - the container word after a measured amount
+        // only describes the packaging.
+        const container = parseUnit(rest);
+        if (container && !units.find((u) => u.id === container.unitId).type) {
+          rest = container.rest;
+        }
+      }
+    }
+    // Drop "of", notes in brackets and preparation notes after a comma
+    const name = rest
+      .replace(/^of\s+/i, '')
+      .replace(/\([^)]*\)/g, '')
+      .split(',')[0]
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (qty === null || !(qty > 0) || !name) ok = false;
+    // Vague amounts ("a handful of basil") have no sensible unit
+    if (/^(handful|bunch|sprig|splash|knob|few|some)(?:e?s)?\b/i.test(name)) ok = false;
+    const entry = findCatalogEntry(name);
+    return {
+      name: name || line.trim(),
+      qty: qty > 0 ? parseFloat((qty * multiplier).toFixed(3)) : 1,
+      unitId: unitId || (entry && entry.unitId) || 'pc',
+      sectionId: (entry && entry.sectionId) || 'misc',
+      ok,
+    };
+  }
+
+  /**
+   * Parse the pasted ingredient text into rows of the recipe form.
+   * Rows for lines that could not be parsed are highlighted until they
+   * are edited.
+   */
+  function parsePastedIngredients() {
+    const textarea = document.getElementById('paste-ingredients');
+    const lines = textarea.value.split(/\r?\n/).filter((l) => l.trim().length > 0);
+    if (lines.length === 0) return;
+    const container = document.getElementById('ingredients-container');
+    // Replace the single blank starter row rather than leaving it behind
+    const rows = container.querySelectorAll('.ingredient-row');
+    if (rows.length === 1 && !rows[0].querySelector('input').value.trim()) {
+      container.innerHTML = '';
+    }
+    let flagged = 0;
+    lines.forEach((line) => {
+      const parsed = parseIngredientLine(line);
+      const row = addIngredientRow(parsed);
+      if (!parsed.ok) {
+        flagged++;
+        row.classList.add('needs-review');
+        row.title = `Could not fully understand "${line.trim()}"; please check this row`;
+        row.addEventListener(
+          'input',
+          () => {
+            row.classList.remove('needs-review');
+            row.removeAttribute('title');
+          },
+          { once: true },
+        );
+      }
+    });
+    textarea.value = '';
+    showToast(
+      flagged > 0
+        ? `Added ${lines.length} ingredient(s); ${flagged} need checking`
+        : `Added ${lines.length} ingredient(s)`,
+    );
+  }
+
+  /**
+   * Fill a unit and section select from the catalog entry matching the
+   * typed ingredient name, if there is one.
+   * @param {string} name
+   * @param {HTMLSelectElement} unitSelect
+   * @param {HTMLSelectElement} sectionSelect
+   */
+  function applyCatalogDefaults(name, unitSelect, sectionSelect) {
+    const entry = findCatalogEntry(name);
+    if (!entry) return;
+    if (entry.unitId) unitSelect.value = entry.unitId;
+    if (entry.sectionId) sectionSelect.value = entry.sectionId;
+  }
+
+  /**
+   * Create an ingredient row in the recipe form, optionally prefilled
+   * from an existing ingredient.  Called without arguments (or as a
+   * click handler) it adds an empty row.
+   * @param {Object} [ing] Ingredient { name, qty, unitId, sectionId }
+   * @returns {HTMLElement} The new row
+   */
+  function addIngredientRow(ing) {
+    const prefill = ing && ing.name !== undefined ? ing : null;
+    const container = document.getElementById('ingredients-container');
+    const row = document.createElement('div');
+    row.classList.add('ingredient-row');
+    // Ingredient name, autocompleted from the catalog
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = 'Ingredient';
+    nameInput.required = true;
+    nameInput.setAttribute('list', 'ingredient-suggestions');
+    row.appendChild(nameInput);
+    // Quantity
+    const qtyInput = document.createElement('input');
+    qtyInput.type = 'number';
+    qtyInput.min = '0';
+    qtyInput.step = 'any';
+    qtyInput.placeholder = 'Qty';
+    qtyInput.required = true;
+    row.appendChild(qtyInput);
+    // Unit select
+    const unitSelect = document.createElement('select');
+    populateUnitSelect(unitSelect);
+    row.appendChild(unitSelect);
+    // Section select
+    const sectionSelect = document.createElement('select');
+    populateSectionSelect(sectionSelect);
+    row.appendChild(sectionSelect);
+    if (prefill) {
+      nameInput.value = prefill.name;
+      qtyInput.value = prefill.qty;
+      unitSelect.value = prefill.unitId;
+      sectionSelect.value = prefill.sectionId;
+    }
+    nameInput.addEventListener('change', () => {
+      applyCatalogDefaults(nameInput.value, unitSelect, sectionSelect);
+    });
+    // Remove button
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.classList.add('close-btn');
+    removeBtn.setAttribute('aria-label', 'Remove ingredient');
+    removeBtn.textContent = '✕';
+    removeBtn.addEventListener('click', () => {
+      container.removeChild(row);
+    });
+    row.appendChild(removeBtn);
+    container.appendChild(row);
+    return row;
+  }
+
+  /**
+   * Render the "suitable for" meal slot checkboxes in the recipe form.
+   * @param {string[]} [selected] Slot ids to tick
+   */
+  function renderRecipeSlotOptions(selected) {
+    const container = document.getElementById('recipe-slots');
+    const ticked = selected || Array.from(container.querySelectorAll('input:checked')).map((i) => i.value);
+    container.innerHTML = '';
+    settings.mealSlots.forEach((slot) => {
+      const label = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = slot.id;
+      box.checked = ticked.includes(slot.id);
+      label.appendChild(box);
+      label.appendChild(document.createTextNode(` ${slot.name}`));
+      container.appendChild(label);
+    });
+  }
+
+  /**
+   * Initialise the recipe form and attach handlers.
+   */
+  function setupRecipeForm() {
+    document
+      .getElementById('add-ingredient')
+      .addEventListener('click', () => addIngredientRow());
+    document
+      .getElementById('parse-ingredients')
+      .addEventListener('click', parsePastedIngredients);
+    // Start with one ingredient row
+    addIngredientRow();
+    renderRecipeSlotOptions([]);
+    // Search and filters on the saved recipe list
+    document.getElementById('recipe-search').addEventListener('input', renderRecipeList);
+    document.getElementById('recipe-ingredient-filter').addEventListener('input', renderRecipeList);
+    document.getElementById('recipe-clear-filters').addEventListener('click', () => {
+      document.getElementById('recipe-search').value = '';
+      document.getElementById('recipe-ingredient-filter').value = '';
+      activeTagFilters = [];
+      renderRecipeList();
+    });
+    const form = document.getElementById('recipe-form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const titleInput = document.getElementById('recipe-title');
+      const instInput = document.getElementById('recipe-instructions');
+      const title = titleInput.value.trim();
+      if (!title) {
+        alert('Please provide a recipe title.');
+        return;
+      }
+      const instructions = instInput.value.trim();
+      const servingsInput = document.getElementById('recipe-servings');
+      const servingsVal = parseFloat(servingsInput.value);
+      const servings = servingsVal > 0 ? servingsVal : null;
+      // Tags are stored lowercase and de-duplicated
+      const tags = Array.from(
+        new Set(
+          document
+            .getElementById('recipe-tags')
+            .value.split(',')
+            .map((t) => t.trim().toLowerCase())
+            .filter((t) => t.length > 0),
+        ),
+      );
+      const mealSlots = Array.from(document.querySelectorAll('#recipe-slots input:checked')).map(
+        (box) => box.value,
+      );
+      // Gather ingredients
+      const rows = document.querySelectorAll('#ingredients-container .ingredient-row');
+      const ingList = [];
+      rows.forEach((r) => {
+        const [nameInput, qtyInput, unitSel, sectionSel] = r.querySelectorAll(
+          'input, select',
+        );
+        const name = nameInput.value.trim();
+        const qty = parseFloat(qtyInput.value);
+        if (!name || isNaN(qty)) return;
+        const unitId = unitSel.value;
+        const sectionId = sectionSel.value;
+        ingList.push({ name, qty, unitId, sectionId });
+      });
+      if (ingList.length === 0) {
+        alert('Please add at least one ingredient.');
+        return;
+      }
+      let message;
+      if (editingRecipeId) {
+        // Update existing recipe
+        const recipe = recipes.find((r) => r.id === editingRecipeId);
+        if (recipe) {
+          recipe.title = title;
+          recipe.instructions = instructions;
+          recipe.servings = servings;
+          recipe.mealSlots = mealSlots;
+          recipe.tags = tags;
+          recipe.ingredients = ingList;
+          // Also update any plans referencing this recipe by id - they will reference same id so no change needed
+        }
+        message = `Updated recipe: ${title}`;
+      } else {
+        // Create new recipe
+        const newRecipe = {
+          id: generateId(),
+          title,
+          instructions,
+          servings,
+          mealSlots,
+          tags,
+          ingredients: ingList,
+        };
+        recipes.push(newRecipe);
+        message = `Saved recipe: ${title}`;
+      }
+      saveData(editingRecipeId ? 'edit recipe' : 'add recipe', ['recipes']);
+      showUndoToast(message);
+      // Reset editing state and form
+      editingRecipeId = null;
+      document.querySelector('#recipe-form button.primary').textContent = 'Save Recipe';
+      document.getElementById('cancel-edit').classList.add('section-hidden');
+      // Clear form fields
+      titleInput.value = '';
+      instInput.value = '';
+      servingsInput.value = '';
+      document.getElementById('recipe-tags').value = '';
+      renderRecipeSlotOptions([]);
+      document.getElementById('ingredients-container').innerHTML = '';
+      addIngredientRow();
+      renderRecipeList();
+      // Re‑render the plan to show the new or updated recipe title
+      const weekStartVal = document.getElementById('week-start').value;
+      if (weekStartVal) {
+        renderPlan(getWeekStart(weekStartVal));
+      }
+    });
+    // Cancel edit handler
+    document.getElementById('cancel-edit').addEventListener('click', () => {
+      editingRecipeId = null;
+      document.querySelector('#recipe-form button.primary').textContent = 'Save Recipe';
+      document.getElementById('cancel-edit').classList.add('section-hidden');
+      // Reset form
+      form.reset();
+      renderRecipeSlotOptions([]);
+      document.getElementById('ingredients-container').innerHTML = '';
+      addIngredientRow();
+    });
+  }
+
+  /**
+   * Initialise pantry form and attach handlers.
+   */
+  function setupPantryForm() {
+    // Populate selects
+    populateUnitSelect(document.getElementById('pantry-unit'));
+    populateSectionSelect(document.getElementById('pantry-section'));
+    document.getElementById('pantry-name').addEventListener('change', (e) => {
+      applyCatalogDefaults(
+        e.target.value,
+        document.getElementById('pantry-unit'),
+        document.getElementById('pantry-section'),
+      );
+    });
+    const form = document.getElementById('pantry-form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const name = document.getElementById('pantry-name').value.trim();
+      const qty = parseFloat(document.getElementById('pantry-qty').value);
+      const unitId = document.getElementById('pantry-unit').value;
+      const sectionId = document.getElementById('pantry-section').value;
+      const bestBefore = document.getElementById('pantry-date').value || null;
+      const minQty = parseFloat(document.getElementById('pantry-min').value) || null;
+      const targetQty = parseFloat(document.getElementById('pantry-target').value) || null;
+      if (!name || isNaN(qty)) {
+        alert('Please provide an item name and quantity.');
+        return;
+      }
+      if (minQty && targetQty && targetQty < minQty) {
+        alert('The target quantity should be at least the minimum.');
+        return;
+      }
+      let message = null;
+      const label = editingPantryId ? 'edit pantry item' : 'add pantry item';
+      if (editingPantryId) {
+        // Update existing item
+        const idx = pantry.findIndex((p) => p.id === editingPantryId);
+        if (idx >= 0) {
+          pantry[idx] = {
+            ...pantry[idx],
+            name,
+            qty,
+            unitId,
+            sectionId,
+            bestBefore,
+            minQty,
+            targetQty,
+          };
+          message = `Updated pantry item: ${name}`;
+        }
+        editingPantryId = null;
+        // Reset button label and hide cancel
+        document.getElementById('pantry-submit').textContent = 'Add to Pantry';
+        document.getElementById('cancel-pantry-edit').classList.add('section-hidden');
+      } else {
+        // Add new item
+        pantry.push({
+          id: generateId(),
+          name,
+          qty,
+          unitId,
+          sectionId,
+          bestBefore,
+          minQty,
+          targetQty,
+        });
+        message = `Added to pantry: ${name}`;
+      }
+      saveData(label, ['pantry']);
+      if (message) showUndoToast(message);
+      // Clear form
+      form.reset();
+      // Reset selects to default first option
+      populateUnitSelect(document.getElementById('pantry-unit'));
+      populateSectionSelect(document.getElementById('pantry-section'));
+      renderPantry();
+    });
+    // Cancel pantry editing
+    document.getElementById('cancel-pantry-edit').addEventListener('click', () => {
+      editingPantryId = null;
+      form.reset();
+      populateUnitSelect(document.getElementById('pantry-unit'));
+      populateSectionSelect(document.getElementById('pantry-section'));
+      document.getElementById('pantry-submit').textContent = 'Add to Pantry';
+      document.getElementById('cancel-pantry-edit').classList.add('section-hidden');
+    });
+  }
+
+  /**
+   * Initialise week start input and plan rendering.
+   */
+  function setupWeekPlan() {
+    const weekStartInput = document.getElementById('week-start');
+    // Prefill with current week's Monday if not already set
+    if (!weekStartInput.value) {
+      const today = new Date();
+      const iso = today.toISOString().substr(0, 10);
+      weekStartInput.value = getWeekStart(iso);
+    }
+    const initialWeek = getWeekStart(weekStartInput.value);
+    renderPlan(initialWeek);
+    weekStartInput.addEventListener('change', () => {
+      const ws = getWeekStart(weekStartInput.value);
+      // Always update the input to the Monday of the selected week so that
+      // the displayed date matches the planner’s internal week start.  This
+      // prevents confusion when a mid‑week date is chosen.  See test report
+      // suggestions for clarification.
+      weekStartInput.value = ws;
+      // If we have a previous list with unchecked items and are changing to a new week, ask to carry forward
+      if (lastList && lastList.weekStart && lastList.items && lastList.items.length > 0 && lastList.weekStart !== ws) {
+        const leftovers = lastList.items.filter((i) => !i.checked && i.qty > 0);
+        if (leftovers.length > 0) {
+          const confirmCarry = confirm(
+            'Carry forward leftover items from your previous list into the new week?\nThese items were not checked off in your last list.',
+          );
+          if (confirmCarry) {
+            carriedItems = leftovers.map((i) => ({ ...i }));
+            // Optionally clear them from lastList or mark them as checked
+          } else {
+            carriedItems = [];
+          }
+        } else {
+          carriedItems = [];
+        }
+      }
+      renderPlan(ws);
+    });
+  }
+
+  /**
+   * Set up the grocery list button.
+   */
+  function setupGroceryList() {
+    document
+      .getElementById('generate-list')
+      .addEventListener('click', generateGroceryList);
+    // List control toggles
+    document.getElementById('hide-checked').addEventListener('change', () => {
+      renderGroceryList();
+    });
+    document.getElementById('hide-covered').addEventListener('change', () => {
+      renderGroceryList();
+    });
+    // Copy list to clipboard
+    document.getElementById('copy-list').addEventListener('click', () => {
+      const plainText = buildPlainList();
+      navigator.clipboard
+        .writeText(plainText)
+        .then(() => showToast('List copied to clipboard'))
+        .catch(() => alert('Failed to copy'));
+    });
+    // Print list
+    document.getElementById('print-list').addEventListener('click', () => {
+      window.print();
+    });
+    // Download the whole list for spreadsheets or notes apps
+    document.getElementById('export-list-csv').addEventListener('click', () => {
+      downloadFile(`grocery_list_${lastList.weekStart}.csv`, buildListCsv(), 'text/csv');
+      showToast('List downloaded as CSV');
+    });
+    document.getElementById('export-list-md').addEventListener('click', () => {
+      downloadFile(`grocery_list_${lastList.weekStart}.md`, buildListMarkdown(), 'text/markdown');
+      showToast('List downloaded as Markdown');
+    });
+    // Checkout: move bought items into the pantry
+    document.getElementById('finish-shopping').addEventListener('click', openCheckout);
+    document.getElementById('confirm-checkout').addEventListener('click', confirmCheckout);
+    document.getElementById('cancel-checkout').addEventListener('click', closeCheckout);
+  }
+
+  /**
+   * Save and re-render everything that depends on the meal slot
+   * configuration.
+   * @param {string} label What changed, for the undo history
+   */
+  function refreshAfterSlotChange(label) {
+    saveData(label, ['settings']);
+    renderMealSlotSettings();
+    renderAutoFillSettings();
+    renderRecipeSlotOptions();
+    const weekStartVal = document.getElementById('week-start').value;
+    if (weekStartVal) renderPlan(getWeekStart(weekStartVal));
+  }
+
+  /**
+   * Render the meal slot list in Settings with rename, reorder and
+   * remove controls.
+   */
+  function renderMealSlotSettings() {
+    const listEl = document.getElementById('slot-list');
+    listEl.innerHTML = '';
+    settings.mealSlots.forEach((slot, idx) => {
+      const li = document.createElement('li');
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.value = slot.name;
+      nameInput.setAttribute('aria-label', `Name of meal slot ${slot.name}`);
+      nameInput.addEventListener('change', () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+          nameInput.value = slot.name;
+          return;
+        }
+        slot.name = name;
+        refreshAfterSlotChange('rename meal slot');
+      });
+      li.appendChild(nameInput);
+      const timeInput = document.createElement('input');
+      timeInput.type = 'time';
+      timeInput.value = slot.time;
+      timeInput.title = 'Time used in calendar exports';
+      timeInput.setAttribute('aria-label', `Time of ${slot.name}`);
+      timeInput.addEventListener('change', () => {
+        if (!/^\d{2}:\d{2}$/.test(timeInput.value)) {
+          timeInput.value = slot.time;
+          return;
+        }
+        slot.time = timeInput.value;
+        saveData('change slot time', ['settings']);
+      });
+      li.appendChild(timeInput);
+      const move = (offset) => {
+        const [moved] = settings.mealSlots.splice(idx, 1);
+        settings.mealSlots.splice(idx + offset, 0, moved);
+        refreshAfterSlotChange('reorder meal slots');
+      };
+      const upBtn = document.createElement('button');
+      upBtn.classList.add('close-btn');
+      upBtn.textContent = '▲';
+      upBtn.title = 'Move up';
+      upBtn.setAttribute('aria-label', `Move ${slot.name} up`);
+      upBtn.disabled = idx === 0;
+      upBtn.addEventListener('click', () => move(-1));
+      li.appendChild(upBtn);
+      const downBtn = document.createElement('button');
+      downBtn.classList.add('close-btn');
+      downBtn.textContent = '▼';
+      downBtn.title = 'Move down';
+      downBtn.setAttribute('aria-label', `Move ${slot.name} down`);
+      downBtn.disabled = idx === settings.mealSlots.length - 1;
+      downBtn.addEventListener('click', () => move(1));
+      li.appendChild(downBtn);
+      const delBtn = document.createElement('button');
+      delBtn.classList.add('close-btn');
+      delBtn.textContent = '✕';
+      delBtn.title = 'Remove slot';
+      delBtn.setAttribute('aria-label', `Remove meal slot ${slot.name}`);
+      delBtn.disabled = settings.mealSlots.length === 1;
+      delBtn.addEventListener('click', () => {
+        if (
+          !confirm(
+            `Remove the "${slot.name}" slot? Meals already planned in it are kept and reappear if you add it back.`,
+          )
+        ) {
+          return;
+        }
+        settings.mealSlots = settings.mealSlots.filter((s) => s.id !== slot.id);
+        refreshAfterSlotChange('remove meal slot');
+        showToast(`Removed meal slot: ${slot.name}`);
+      });
+      li.appendChild(delBtn);
+      listEl.appendChild(li);
+    });
+  }
+
+  /**
+   * Initialise the form for adding meal slots in Settings.
+   */
+  function setupMealSlotForm() {
+    const form = document.getElementById('slot-form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const name = document.getElementById('slot-name').value.trim();
+      if (!name) return;
+      // Reuse the id of a previously removed slot with the same name so
+      // its planned meals come back
+      const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      if (settings.mealSlots.find((s) => s.id === slug || s.name.toLowerCase() === name.toLowerCase())) {
+        alert(`There is already a "${name}" slot.`);
+        return;
+      }
+      settings.mealSlots.push({ id: slug || generateId(), name, time: '12:00' });
+      form.reset();
+      refreshAfterSlotChange('add meal slot');
+      showToast(`Added meal slot: ${name}`);
+    });
+  }
+
+  /**
+   * Save and re-render everything that lists sections after a section
+   * or store profile change.  Open section selects keep their choice.
+   * @param {string} label What changed, for the undo history
+   */
+  function refreshAfterSectionChange(label) {
+    saveData(label);
+    renderSectionSettings();
+    renderStoreSettings();
+    document
+      .querySelectorAll('#pantry-section, #catalog-section, #adhoc-section, #staple-section, #ingredients-container .ingredient-row select:nth-of-type(2)')
+      .forEach((select) => {
+        const value = select.value;
+        populateSectionSelect(select);
+        if (settings.sections.some((sec) => sec.id === value)) select.value = value;
+      });
+    renderPantry();
+    renderCatalog();
+    renderGroceryList();
+  }
+
+  /**
+   * Render the section list in Settings with rename, reorder and
+   * remove controls.  Removing a section asks where its ingredients
+   * should go instead.
+   */
+  function renderSectionSettings() {
+    const listEl = document.getElementById('section-list');
+    listEl.innerHTML = '';
+    settings.sections.forEach((sec, idx) => {
+      const li = document.createElement('li');
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.value = sec.name;
+      nameInput.setAttribute('aria-label', `Name of section ${sec.name}`);
+      nameInput.addEventListener('change', () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+          nameInput.value = sec.name;
+          return;
+        }
+        sec.name = name;
+        refreshAfterSectionChange('rename section');
+      });
+      li.appendChild(nameInput);
+      const move = (offset) => {
+        const [moved] = settings.sections.splice(idx, 1);
+        settings.sections.splice(idx + offset, 0, moved);
+        refreshAfterSectionChange('reorder sections');
+      };
+      const upBtn = document.createElement('button');
+      upBtn.classList.add('close-btn');
+      upBtn.textContent = '▲';
+      upBtn.title = 'Move up';
+      upBtn.setAttribute('aria-label', `Move ${sec.name} up`);
+      upBtn.disabled = idx === 0;
+      upBtn.addEventListener('click', () => move(-1));
+      li.appendChild(upBtn);
+      const downBtn = document.createElement('button');
+      downBtn.classList.add('close-btn');
+      downBtn.textContent = '▼';
+      downBtn.title = 'Move down';
+      downBtn.setAttribute('aria-label', `Move ${sec.name} down`);
+      downBtn.disabled = idx === settings.sections.length - 1;
+      downBtn.addEventListener('click', () => move(1));
+      li.appendChild(downBtn);
+      const delBtn = document.createElement('button');
+      delBtn.classList.add('close-btn');
+      delBtn.textContent = '✕';
+      delBtn.title = 'Remove section';
+      delBtn.setAttribute('aria-label', `Remove section ${sec.name}`);
+      delBtn.disabled = settings.sections.length === 1;
+      delBtn.addEventListener('click', () => {
+        // Swap the row's controls for a "move items to" choice
+        li.innerHTML = '';
+        li.classList.add('section-remove');
+        const label = document.createElement('label');
+        label.textContent = `Remove ${sec.name}, moving its ingredients to `;
+        const targetSelect = document.createElement('select');
+        settings.sections
+          .filter((other) => other.id !== sec.id)
+          .forEach((other) => {
+            const opt = document.createElement('option');
+            opt.value = other.id;
+            opt.textContent = other.name;
+            targetSelect.appendChild(opt);
+          });
+        if (settings.sections.some((other) => other.id === 'misc' && other.id !== sec.id)) targetSelect.value = 'misc';
+        label.appendChild(targetSelect);
+        li.appendChild(label);
+        const confirmBtn = document.createElement('button');
+        confirmBtn.classList.add('secondary');
+        confirmBtn.textContent = 'Remove';
+        confirmBtn.addEventListener('click', () => {
+          const target = settings.sections.find((other) => other.id === targetSelect.value);
+          const moved = remapSections((id) => (id === sec.id ? target.id : id));
+          settings.sections = settings.sections.filter((other) => other.id !== sec.id);
+          settings.stores.forEach((store) => {
+            store.order = store.order.filter((id) => id !== sec.id);
+          });
+          refreshAfterSectionChange('remove section');
+          showToast(`Removed section ${sec.name}; moved ${moved} item(s) to ${target.name}`);
+        });
+        li.appendChild(confirmBtn);
+        const cancelBtn = document.createElement('button');
+        cancelBtn.classList.add('secondary');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', renderSectionSettings);
+        li.appendChild(cancelBtn);
+        targetSelect.focus();
+      });
+      li.appendChild(delBtn);
+      listEl.appendChild(li);
+    });
+  }
+
+  /**
+   * Render the store profiles in Settings, the aisle order of the one
+   * being edited, and the store picker on the grocery list.
+   */
+  function renderStoreSettings() {
+    const listEl = document.getElementById('store-list');
+    listEl.innerHTML = '';
+    if (!settings.stores.some((store) => store.id === editingStoreId)) editingStoreId = null;
+    settings.stores.forEach((store) => {
+      const li = document.createElement('li');
+      li.classList.toggle('active', store.id === editingStoreId);
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.value = store.name;
+      nameInput.setAttribute('aria-label', `Name of store ${store.name}`);
+      nameInput.addEventListener('change', () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+          nameInput.value = store.name;
+          return;
+        }
+        store.name = name;
+        refreshAfterSectionChange('rename store');
+      });
+      li.appendChild(nameInput);
+      const aislesBtn = document.createElement('button');
+      aislesBtn.classList.add('secondary');
+      aislesBtn.textContent = store.id === editingStoreId ? 'Done' : 'Aisle order';
+      aislesBtn.setAttribute('aria-expanded', store.id === editingStoreId ? 'true' : 'false');
+      aislesBtn.setAttribute('aria-label', `Edit aisle order for ${store.name}`);
+      aislesBtn.addEventListener('click', () => {
+        editingStoreId = store.id === editingStoreId ? null : store.id;
+        renderStoreSettings();
+      });
+      li.appendChild(aislesBtn);
+      const delBtn = document.createElement('button');
+      delBtn.classList.add('close-btn');
+      delBtn.textContent = '✕';
+      delBtn.title = 'Remove store';
+      delBtn.setAttribute('aria-label', `Remove store ${store.name}`);
+      delBtn.addEventListener('click', () => {
+        if (!confirm(`Remove the store "${store.name}"?`)) return;
+        settings.stores = settings.stores.filter((st) => st.id !== store.id);
+        if (settings.activeStoreId === store.id) settings.activeStoreId = null;
+        refreshAfterSectionChange('remove store');
+        showToast(`Removed store: ${store.name}`);
+      });
+      li.appendChild(delBtn);
+      listEl.appendChild(li);
+    });
+    // Aisle order of the store being edited
+    const aislesEl = document.getElementById('store-aisles');
+    aislesEl.innerHTML = '';
+    const editing = settings.stores.find((store) => store.id === editingStoreId);
+    document.getElementById('store-aisles-panel').classList.toggle('section-hidden', !editing);
+    if (editing) {
+      document.getElementById('store-aisles-title').textContent = `Aisle order at ${editing.name}`;
+      const ordered = getSectionOrder(editing.id);
+      ordered.forEach((sec, idx) => {
+        const li = document.createElement('li');
+        const span = document.createElement('span');
+        span.textContent = `${idx + 1}. ${sec.name}`;
+        li.appendChild(span);
+        const move = (offset) => {
+          const ids = ordered.map((o) => o.id);
+          const [moved] = ids.splice(idx, 1);
+          ids.splice(idx + offset, 0, moved);
+          editing.order = ids;
+          refreshAfterSectionChange('reorder store aisles');
+        };
+        const upBtn = document.createElement('button');
+        upBtn.classList.add('close-btn');
+        upBtn.textContent = '▲';
+        upBtn.title = 'Earlier in the shop';
+        upBtn.setAttribute('aria-label', `Move ${sec.name} earlier at ${editing.name}`);
+        upBtn.disabled = idx === 0;
+        upBtn.addEventListener('click', () => move(-1));
+        li.appendChild(upBtn);
+        const downBtn = document.createElement('button');
+        downBtn.classList.add('close-btn');
+        downBtn.textContent = '▼';
+        downBtn.title = 'Later in the shop';
+        downBtn.setAttribute('aria-label', `Move ${sec.name} later at ${editing.name}`);
+        downBtn.disabled = idx === ordered.length - 1;
+        downBtn.addEventListener('click', () => move(1));
+        li.appendChild(downBtn);
+        aislesEl.appendChild(li);
+      });
+    }
+    // Store picker on the grocery list
+    const picker = document.getElementById('list-store');
+    picker.innerHTML = '';
+    const anyOpt = document.createElement('option');
+    anyOpt.value = '';
+    anyOpt.textContent = 'Any store (section order)';
+    picker.appendChild(anyOpt);
+    settings.stores.forEach((store) => {
+      const opt = document.createElement('option');
+      opt.value = store.id;
+      opt.textContent = store.name;
+      picker.appendChild(opt);
+    });
+    picker.value = settings.activeStoreId || '';
+  }
+
+  /**
+   * Initialise the section and store forms in Settings and the store
+   * picker on the grocery list.
+   */
+  function setupSectionForms() {
+    const sectionForm = document.getElementById('section-form');
+    sectionForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const name = document.getElementById('section-name').value.trim();
+      if (!name) return;
+      if (settings.sections.some((sec) => sec.name.toLowerCase() === name.toLowerCase())) {
+        alert(`There is already a "${name}" section.`);
+        return;
+      }
+      const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      const id = slug && !settings.sections.some((sec) => sec.id === slug) ? slug : generateId();
+      settings.sections.push({ id, name });
+      sectionForm.reset();
+      refreshAfterSectionChange('add section');
+      showToast(`Added section: ${name}`);
+    });
+    const storeForm = document.getElementById('store-form');
+    storeForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const name = document.getElementById('store-name').value.trim();
+      if (!name) return;
+      // New stores start from the plain section order
+      const store = { id: generateId(), name, order: settings.sections.map((sec) => sec.id) };
+      settings.stores.push(store);
+      editingStoreId = store.id;
+      storeForm.reset();
+      refreshAfterSectionChange('add store');
+      showToast(`Added store: ${name}`);
+    });
+    document.getElementById('list-store').addEventListener('change', (e) => {
+      settings.activeStoreId = e.target.value || null;
+      saveData('change store', ['settings']);
+      renderGroceryList();
+    });
+  }
+
+  /**
+   * Refresh the datalist used to autocomplete ingredient names in the
+   * recipe and pantry forms.  Aliases are offered too so that typing a
+   * familiar spelling still finds the entry.
+   */
+  function renderCatalogSuggestions() {
+    const datalist = document.getElementById('ingredient-suggestions');
+    datalist.innerHTML = '';
+    const names = new Set();
+    catalog.forEach((entry) => {
+      names.add(entry.name);
+      (entry.aliases || []).forEach((a) => names.add(a));
+    });
+    Array.from(names)
+      .sort((a, b) => a.localeCompare(b))
+      .forEach((name) => {
+        const opt = document.createElement('option');
+        opt.value = name;
+        datalist.appendChild(opt);
+      });
+  }
+
+  /**
+   * Reset the catalog form to its "add new" state.
+   */
+  function resetCatalogForm() {
+    editingCatalogId = null;
+    document.getElementById('catalog-form').reset();
+    populateUnitSelect(document.getElementById('catalog-unit'));
+    populateSectionSelect(document.getElementById('catalog-section'));
+    document.getElementById('catalog-submit').textContent = 'Add to Catalog';
+    document.getElementById('cancel-catalog-edit').classList.add('section-hidden');
+  }
+
+  /**
+   * Render the ingredient catalog list in Settings.
+   */
+  function renderCatalog() {
+    const listEl = document.getElementById('catalog-list');
+    listEl.innerHTML = '';
+    catalog
+      .slice()
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach((entry) => {
+        const li = document.createElement('li');
+        const nameSpan = document.createElement('span');
+        const aliases = entry.aliases && entry.aliases.length > 0 ? ` (${entry.aliases.join(', ')})` : '';
+        nameSpan.textContent = `${entry.name}${aliases}`;
+        li.appendChild(nameSpan);
+        const secSpan = document.createElement('span');
+        const sectionObj = settings.sections.find((sec) => sec.id === entry.sectionId);
+        const unitObj = units.find((u) => u.id === entry.unitId);
+        secSpan.textContent = `${sectionObj ? sectionObj.name : ''}${unitObj ? `, ${unitObj.short}` : ''}`;
+        secSpan.style.fontStyle = 'italic';
+        secSpan.style.fontSize = '0.8rem';
+        secSpan.style.color = 'var(--accent-dark)';
+        li.appendChild(secSpan);
+        // Edit button
+        const editBtn = document.createElement('button');
+        editBtn.classList.add('close-btn');
+        editBtn.title = 'Edit ingredient';
+        editBtn.setAttribute('aria-label', `Edit ingredient: ${entry.name}`);
+        editBtn.textContent = '✎';
+        editBtn.addEventListener('click', () => {
+          editingCatalogId = entry.id;
+          document.getElementById('catalog-name').value = entry.name;
+          document.getElementById('catalog-aliases').value = (entry.aliases || []).join(', ');
+          document.getElementById('catalog-unit').value = entry.unitId;
+          document.getElementById('catalog-section').value = entry.sectionId;
+          document.getElementById('catalog-submit').textContent = 'Save Changes';
+          document.getElementById('cancel-catalog-edit').classList.remove('section-hidden');
+          document.getElementById('catalog-name').focus();
+        });
+        li.appendChild(editBtn);
+        // Delete button
+        const delBtn = document.createElement('button');
+        delBtn.classList.add('close-btn');
+        delBtn.title = 'Remove ingredient';
+        delBtn.setAttribute('aria-label', `Remove ingredient: ${entry.name}`);
+        delBtn.textContent = '✕';
+        delBtn.addEventListener('click', () => {
+          catalog = catalog.filter((e) => e.id !== entry.id);
+          if (editingCatalogId === entry.id) resetCatalogForm();
+          saveData('remove catalog ingredient', ['catalog']);
+          renderCatalog();
+          renderCatalogSuggestions();
+          showToast(`Removed from catalog: ${entry.name}`);
+        });
+        li.appendChild(delBtn);
+        listEl.appendChild(li);
+      });
+  }
+
+  /**
+   * Initialise the ingredient catalog form in Settings.
+   */
+  function setupCatalogForm() {
+    resetCatalogForm();
+    const form = document.getElementById('catalog-form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const name = document.getElementById('catalog-name').value.trim();
+      const aliases = document
+        .getElementById('catalog-aliases')
+        .value.split(',')
+        .map((a) => a.trim())
+        .filter((a) => a.length > 0);
+      const unitId = document.getElementById('catalog-unit').value;
+      const sectionId = document.getElementById('catalog-section').value;
+      if (!name) {
+        alert('Please provide an ingredient name.');
+        return;
+      }
+      // Refuse names or aliases already claimed by another entry,
+      // otherwise matching would depend on catalog order.
+      const clash = [name, ...aliases]
+        .map((n) => findCatalogEntry(n))
+        .find((entry) => entry && entry.id !== editingCatalogId);
+      if (clash) {
+        alert(`"${clash.name}" in the catalog already uses one of these names.`);
+        return;
+      }
+      if (editingCatalogId) {
+        const entry = catalog.find((c) => c.id === editingCatalogId);
+        if (entry) {
+          Object.assign(entry, { name, aliases, unitId, sectionId });
+        }
+        showToast(`Updated catalog: ${name}`);
+      } else {
+        catalog.push({ id: generateId(), name, aliases, unitId, sectionId });
+        showToast(`Added to catalog: ${name}`);
+      }
+      saveData(editingCatalogId ? 'edit catalog ingredient' : 'add catalog ingredient', ['catalog']);
+      resetCatalogForm();
+      renderCatalog();
+      renderCatalogSuggestions();
+    });
+    document.getElementById('cancel-catalog-edit').addEventListener('click', resetCatalogForm);
+  }
+
+  /**
+   * Render the table of user-defined ingredient densities in Settings.
+   */
+  function renderDensities() {
+    const listEl = document.getElementById('density-list');
+    listEl.innerHTML = '';
+    Object.keys(densities)
+      .sort()
+      .forEach((name) => {
+        const li = document.createElement('li');
+        const span = document.createElement('span');
+        // Show the density as grams per cup, which is easier to sanity
+        // check than grams per millilitre.
+        const perCup = convertUnit(1, 'cup', 'g', name);
+        span.textContent = `${name}: ${densities[name]} g/ml (1 cup ≈ ${Math.round(perCup)} g)`;
+        li.appendChild(span);
+        const delBtn = document.createElement('button');
+        delBtn.classList.add('close-btn');
+        delBtn.title = 'Remove density';
+        delBtn.setAttribute('aria-label', `Remove density for ${name}`);
+        delBtn.textContent = '✕';
+        delBtn.addEventListener('click', () => {
+          delete densities[name];
+          saveData('remove density', ['densities']);
+          renderDensities();
+          showToast(`Removed density: ${name}`);
+        });
+        li.appendChild(delBtn);
+        listEl.appendChild(li);
+      });
+  }
+
+  /**
+   * Initialise the density form in Settings.  Densities are entered as
+   * "grams per quantity of a volume unit" (e.g. 125 g per 1 cup flour)
+   * and stored in grams per millilitre.
+   */
+  function setupDensityForm() {
+    const unitSelect = document.getElementById('density-unit');
+    unitSelect.innerHTML = '';
+    units
+      .filter((u) => u.type === 'volume')
+      .forEach((u) => {
+        const opt = document.createElement('option');
+        opt.value = u.id;
+        opt.textContent = u.name;
+        unitSelect.appendChild(opt);
+      });
+    unitSelect.value = 'cup';
+    const form = document.getElementById('density-form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const name = document.getElementById('density-name').value.trim().toLowerCase();
+      const grams = parseFloat(document.getElementById('density-grams').value);
+      const volume = parseFloat(document.getElementById('density-volume').value);
+      const ml = convertUnit(volume, unitSelect.value, 'ml');
+      if (!name || !(grams > 0) || !(ml > 0)) {
+        alert('Please provide an ingredient name, a weight and a volume.');
+        return;
+      }
+      densities[name] = parseFloat((grams / ml).toFixed(4));
+      saveData('save density', ['densities']);
+      form.reset();
+      unitSelect.value = 'cup';
+      renderDensities();
+      showToast(`Saved density: ${name}`);
+    });
+  }
+
+  /**
+   * Render the nutrient table in Settings.
+   */
+  function renderNutrients() {
+    const listEl = document.getElementById('nutrient-list');
+    listEl.innerHTML = '';
+    Object.keys(nutrients)
+      .sort()
+      .forEach((name) => {
+        const entry = nutrients[name];
+        const li = document.createElement('li');
+        const span = document.createElement('span');
+        const piece = entry.pieceGrams > 0 ? `, 1 piece = ${entry.pieceGrams} g` : '';
+        span.textContent = `${name} (per 100 ${entry.per}${piece}): ${formatNutrition(entry)}`;
+        li.appendChild(span);
+        const editBtn = document.createElement('button');
+        editBtn.classList.add('close-btn');
+        editBtn.title = 'Edit nutrients';
+        editBtn.setAttribute('aria-label', `Edit nutrients for ${name}`);
+        editBtn.textContent = '✎';
+        editBtn.addEventListener('click', () => {
+          document.getElementById('nutrient-name').value = name;
+          document.getElementById('nutrient-per').value = entry.per;
+          document.getElementById('nutrient-piece').value = entry.pieceGrams || '';
+          nutrientFields.forEach((field) => {
+            document.getElementById(`nutrient-${field.id}`).value = entry[field.id];
+          });
+          document.getElementById('nutrient-name').focus();
+        });
+        li.appendChild(editBtn);
+        const delBtn = document.createElement('button');
+        delBtn.classList.add('close-btn');
+        delBtn.title = 'Remove nutrients';
+        delBtn.setAttribute('aria-label', `Remove nutrients for ${name}`);
+        delBtn.textContent = '✕';
+        delBtn.addEventListener('click', () => {
+          delete nutrients[name];
+          saveData('remove nutrients', ['nutrients']);
+          renderNutrients();
+          renderRecipeList();
+          showToast(`Removed nutrients: ${name}`);
+        });
+        li.appendChild(delBtn);
+        listEl.appendChild(li);
+      });
+  }
+
+  /**
+   * Split one CSV line into fields, honouring double-quoted fields
+   * (which may contain commas and "" escapes).
+   * @param {string} line
+   * @returns {string[]}
+   */
+  function parseCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === '"' && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          current += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ',') {
+        fields.push(current.trim());
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    fields.push(current.trim());
+    return fields;
+  }
+
+  /**
+   * Read nutrient entries from CSV text.  Columns default to
+   * name, kcal, protein, carbs, fat, fibre; a header row naming the
+   * columns (optionally with "per" and "piece_g") may reorder them.
+   * @param {string} text
+   * @returns {{entries: Object, skipped: number}} Entries keyed by
+   *   normalised name, and the number of rows that could not be read
+   */
+  function parseNutrientCsv(text) {
+    const rows = text
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line.length > 0)
+      .map(parseCsvLine);
+    const headerAliases = {
+      name: ['name', 'ingredient', 'food'],
+      kcal: ['kcal', 'energy', 'calories', 'energy_kcal'],
+      protein: ['protein'],
+      carbs: ['carbs', 'carbohydrate', 'carbohydrates'],
+      fat: ['fat', 'total fat'],
+      fibre: ['fibre', 'fiber'],
+      per: ['per', 'basis'],
+      pieceGrams: ['piece_g', 'piece', 'piece grams', 'grams per piece'],
+    };
+    const columnFor = (cell) =>
+      Object.keys(headerAliases).find((key) => headerAliases[key].includes(cell.toLowerCase())) || null;
+    let columns = ['name', 'kcal', 'protein', 'carbs', 'fat', 'fibre', 'per', 'pieceGrams'];
+    // The first row is a header when it names at least two known
+    // columns; a single match could just be a food called "fat"
+    if (rows.length > 0 && rows[0].filter((cell) => columnFor(cell)).length >= 2) {
+      columns = rows.shift().map(columnFor);
+    }
+    const entries = {};
+    let skipped = 0;
+    rows.forEach((cells) => {
+      const row = {};
+      columns.forEach((key, i) => {
+        if (key) row[key] = cells[i];
+      });
+      const name = normaliseIngredientName(row.name || '');
+      const kcal = parseFloat(row.kcal);
+      if (!name || isNaN(kcal)) {
+        skipped++;
+        return;
+      }
+      const entry = { per: /^ml$/i.test(row.per || '') ? 'ml' : 'g' };
+      nutrientFields.forEach((field) => {
+        const value = parseFloat(row[field.id]);
+        entry[field.id] = value >= 0 ? value : 0;
+      });
+      const pieceGrams = parseFloat(row.pieceGrams);
+      if (pieceGrams > 0) entry.pieceGrams = pieceGrams;
+      entries[name] = entry;
+    });
+    return { entries, skipped };
+  }
+
+  /**
+   * Initialise the nutrient form and CSV import in Settings.  Saving an
+   * ingredient that is already in the table replaces its values.
+   */
+  function setupNutrientForm() {
+    const form = document.getElementById('nutrient-form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const name = normaliseIngredientName(document.getElementById('nutrient-name').value);
+      const kcal = parseFloat(document.getElementById('nutrient-kcal').value);
+      if (!name || !(kcal >= 0)) {
+        alert('Please provide an ingredient name and its energy in kcal.');
+        return;
+      }
+      const entry = { per: document.getElementById('nutrient-per').value };
+      nutrientFields.forEach((field) => {
+        const value = parseFloat(document.getElementById(`nutrient-${field.id}`).value);
+        entry[field.id] = value >= 0 ? value : 0;
+      });
+      const pieceGrams = parseFloat(document.getElementById('nutrient-piece').value);
+      if (pieceGrams > 0) entry.pieceGrams = pieceGrams;
+      nutrients[name] = entry;
+      saveData('save nutrients', ['nutrients']);
+      form.reset();
+      renderNutrients();
+      renderRecipeList();
+      showToast(`Saved nutrients: ${name}`);
+    });
+    const fileInput = document.getElementById('nutrient-csv-file');
+    document.getElementById('nutrient-csv-pick').addEventListener('click', () => {
+      fileInput.value = '';
+      fileInput.click();
+    });
+    fileInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        const { entries, skipped } = parseNutrientCsv(reader.result);
+        const count = Object.keys(entries).length;
+        if (count === 0) {
+          alert('No nutrient rows could be read from that file.');
+          return;
+        }
+        Object.assign(nutrients, entries);
+        saveData('import nutrients', ['nutrients']);
+        renderNutrients();
+        renderRecipeList();
+        const wsInput = document.getElementById('week-start');
+        if (wsInput.value) renderPlan(getWeekStart(wsInput.value));
+        showToast(skipped > 0 ? `Imported ${count} ingredient(s); skipped ${skipped} row(s)` : `Imported ${count} ingredient(s)`);
+      };
+      reader.readAsText(file);
+    });
+  }
+
+  /**
+   * Decode HTML entities left in JSON-LD strings (e.g. "Mac &amp;
+   * Cheese") and strip any markup.
+   * @param {string} text
+   * @returns {string}
+   */
+  function decodeHtmlText(text) {
+    const doc = new DOMParser().parseFromString(`<body>${text}</body>`, 'text/html');
+    return doc.body.textContent.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Find the first schema.org Recipe object in the JSON-LD blocks of an
+   * HTML document.  Recipes may be nested in arrays or an `@graph`, and
+   * `@type` may be a string or an array.
+   * @param {string} html Page source
+   * @returns {Object|null}
+   */
+  function extractJsonLdRecipe(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const isRecipe = (node) => {
+      const type = node && node['@type'];
+      return Array.isArray(type) ? type.includes('Recipe') : type === 'Recipe';
+    };
+    const search = (node) => {
+      if (!node || typeof node !== 'object') return null;
+      if (Array.isArray(node)) {
+        for (const child of node) {
+          const found = search(child);
+          if (found) return found;
+        }
+        return null;
+      }
+      if (isRecipe(node)) return node;
+      return search(node['@graph']) || search(node.mainEntity);
+    };
+    const blocks = doc.querySelectorAll('script[type="application/ld+json"]');
+    for (const block of blocks) {
+      let data;
+      try {
+        data = JSON.parse(block.textContent);
+      } catch (err) {
+        // Skip malformed blocks; other blocks on the page may be fine
+        continue;
+      }
+      const recipe = search(data);
+      if (recipe) return recipe;
+    }
+    return null;
+  }
+
+  /**
+   * Flatten schema.org recipeInstructions into plain text.  They may be
+   * a string, a list of strings, HowToStep objects or HowToSection
+   * objects grouping further steps.
+   * @param {*} instructions
+   * @returns {string}
+   */
+  function flattenInstructions(instructions) {
+    if (!instructions) return '';
+    if (typeof instructions === 'string') return decodeHtmlText(instructions);
+    if (Array.isArray(instructions)) {
+      return instructions
+        .map((step) => flattenInstructions(step))
+        .filter((step) => step.length > 0)
+        .join('\n');
+    }
+    if (instructions.itemListElement) {
+      const steps = flattenInstructions(instructions.itemListElement);
+      return instructions.name ? `${decodeHtmlText(instructions.name)}:\n${steps}` : steps;
+    }
+    return flattenInstructions(instructions.text || instructions.name || '');
+  }
+
+  /**
+   * Build a recipe from schema.org Recipe data.  Ingredient lines are
+   * run through parseIngredientLine so they get units and sections.
+   * @param {Object} data schema.org Recipe object
+   * @returns {{recipe: Object, flagged: number}} the new recipe and how
+   *   many ingredient lines could not be fully parsed
+   */
+  function recipeFromJsonLd(data) {
+    const lines = [].concat(data.recipeIngredient || data.ingredients || []);
+    let flagged = 0;
+    const ingredients = lines
+      .map((line) => decodeHtmlText(String(line)))
+      .filter((line) => line.length > 0)
+      .map((line) => {
+        const { ok, ...ing } = parseIngredientLine(line);
+        if (!ok) flagged++;
+        return ing;
+      });
+    // recipeYield comes as 4, "4", "4 servings" or ["4", "4 servings"]
+    const yieldMatch = String([].concat(data.recipeYield || '')[0]).match(/\d+(?:\.\d+)?/);
+    const recipe = {
+      id: generateId(),
+      title: decodeHtmlText(String(data.name || 'Imported recipe')),
+      instructions: flattenInstructions(data.recipeInstructions),
+      servings: yieldMatch ? parseFloat(yieldMatch[0]) : null,
+      // Suits every slot and has no tags until edited, like a new recipe
+      mealSlots: [],
+      tags: [],
+      ingredients,
+    };
+    return { recipe, flagged };
+  }
+
+  /**
+   * Import a recipe from saved web page source and report the outcome.
+   * @param {string} html
+   */
+  function importRecipeFromHtml(html) {
+    const info = document.getElementById('recipe-import-info');
+    const data = extractJsonLdRecipe(html);
+    if (!data) {
+      info.textContent = 'No schema.org Recipe data was found in that page.';
+      showToast('Failed to import: no recipe found');
+      return;
+    }
+    const { recipe, flagged } = recipeFromJsonLd(data);
+    if (recipe.ingredients.length === 0) {
+      info.textContent = `"${recipe.title}" has no ingredient list, so it was not imported.`;
+      showToast('Failed to import: recipe has no ingredients');
+      return;
+    }
+    recipes.push(recipe);
+    saveData('import recipe', ['recipes']);
+    renderRecipeList();
+    const weekStartVal = document.getElementById('week-start').value;
+    if (weekStartVal) {
+      renderPlan(getWeekStart(weekStartVal));
+    }
+    info.textContent =
+      `Imported "${recipe.title}" with ${recipe.ingredients.length} ingredient(s).` +
+      (flagged > 0 ? ` ${flagged} could not be fully understood; open the recipe to check them.` : '');
+    showToast(`Imported recipe: ${recipe.title}`);
+  }
+
+  /**
+   * Set up the web page recipe import in Settings: either a saved .html
+   * file or pasted page source.
+   */
+  function setupRecipeImport() {
+    const fileInput = document.getElementById('recipe-import-file');
+    document.getElementById('recipe-import-pick').addEventListener('click', () => {
+      fileInput.value = '';
+      fileInput.click();
+    });
+    fileInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => importRecipeFromHtml(reader.result);
+      reader.readAsText(file);
+    });
+    document.getElementById('recipe-import-paste').addEventListener('click', () => {
+      const textarea = document.getElementById('recipe-import-source');
+      if (!textarea.value.trim()) {
+        alert('Please paste the page source first.');
+        return;
+      }
+      importRecipeFromHtml(textarea.value);
+      textarea.value = '';
+    });
+  }
+
+  /**
+   * Check one record of a collection.
+   * @param {string} collection Collection name (see storedCollections)
+   * @param {*} record
+   * @returns {string|null} Why the record is rejected, or null if it is fine
+   */
+  function checkRecord(collection, record) {
+    if (!record || typeof record !== 'object') return 'not an object';
+    const hasText = (value) => typeof value === 'string' && value.trim().length > 0;
+    const knownUnit = (unitId) => units.some((u) => u.id === unitId);
+    const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    switch (collection) {
+      case 'recipes': {
+        if (!hasText(record.id)) return 'missing id';
+        if (!hasText(record.title)) return 'missing title';
+        if (!Array.isArray(record.ingredients)) return 'ingredients are not a list';
+        const bad = record.ingredients.find((ing) => !ing || !hasText(ing.name) || !knownUnit(ing.unitId));
+        if (bad) return bad && hasText(bad.name) ? `ingredient "${bad.name}" has an unknown unit` : 'an ingredient has no name';
+        return null;
+      }
+      case 'pantry':
+        if (!hasText(record.id)) return 'missing id';
+        if (!hasText(record.name)) return 'missing name';
+        if (!isFinite(parseFloat(record.qty))) return 'quantity is not a number';
+        if (!knownUnit(record.unitId)) return `unknown unit "${record.unitId}"`;
+        return null;
+      case 'catalog':
+        if (!hasText(record.id)) return 'missing id';
+        return hasText(record.name) ? null : 'missing name';
+      case 'templates':
+        if (!hasText(record.id)) return 'missing id';
+        if (!hasText(record.name)) return 'missing name';
+        return Array.isArray(record.days) ? null : 'days are not a list';
+      case 'staples':
+        if (!hasText(record.id)) return 'missing id';
+        if (!hasText(record.name)) return 'missing name';
+        if (!(parseFloat(record.qty) > 0)) return 'quantity is not a positive number';
+        if (!knownUnit(record.unitId)) return `unknown unit "${record.unitId}"`;
+        return ['weekly', 'biweekly', 'below'].includes(record.rule) ? null : `unknown rule "${record.rule}"`;
+      case 'cookLog':
+        if (!hasText(record.id)) return 'missing id';
+        return Array.isArray(record.deductions) ? null : 'deductions are not a list';
+      case 'listHistory':
+        if (!isDate(record.weekStart)) return 'missing week start';
+        return Array.isArray(record.items) ? null : 'items are not a list';
+      case 'weeks': {
+        if (!record.days || typeof record.days !== 'object') return 'days are missing';
+        const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+        const badDate = Object.keys(record.days).find((date) => {
+          const day = record.days[date];
+          if (!isObject(day) || !isObject(day.meals)) return true;
+          return Object.values(day.meals).some(
+            (meal) =>
+              meal !== null &&
+              (!isObject(meal) ||
+                !Array.isArray(meal.dishes) ||
+                meal.dishes.some((dish) => !isObject(dish) || !hasText(dish.id) || !hasText(dish.recipeId))),
+          );
+        });
+        return badDate ? `meals on ${badDate} are not lists of dishes` : null;
+      }
+      case 'nutrients':
+        return isFinite(parseFloat(record.kcal)) ? null : 'kcal is not a number';
+      case 'prices':
+        if (!(parseFloat(record.packQty) > 0)) return 'pack size is not a positive number';
+        if (!knownUnit(record.unitId)) return `unknown unit "${record.unitId}"`;
+        return parseFloat(record.price) >= 0 ? null : 'price is not a number';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Validate every record of a (migrated) data object.  Rejected records
+   * are left out of the result and listed in the report.
+   * @param {Object} data
+   * @returns {{data: Object, rejected: Array<{collection: string, label: string, reason: string}>}}
+   */
+  function validateData(data) {
+    const result = { ...data };
+    const rejected = [];
+    const describe = (record, fallback) =>
+      (record && (record.title || record.name || record.weekStart || record.recipeTitle)) || fallback;
+    ['recipes', 'pantry', 'catalog', 'templates', 'staples', 'cookLog', 'listHistory'].forEach((name) => {
+      if (data[name] === undefined) return;
+      if (!Array.isArray(data[name])) {
+        rejected.push({ collection: name, label: '(all)', reason: 'not a list' });
+        delete result[name];
+        return;
+      }
+      const seen = new Set();
+      result[name] = data[name].filter((record, i) => {
+        let reason = checkRecord(name, record);
+        const id = record && (record.id || record.weekStart);
+        if (!reason && seen.has(id)) reason = 'duplicate id';
+        if (reason) {
+          rejected.push({ collection: name, label: describe(record, `#${i + 1}`), reason });
+          return false;
+        }
+        seen.add(id);
+        return true;
+      });
+    });
+    ['weeks', 'densities', 'nutrients', 'prices'].forEach((name) => {
+      if (data[name] === undefined) return;
+      if (!data[name] || typeof data[name] !== 'object' || Array.isArray(data[name])) {
+        rejected.push({ collection: name, label: '(all)', reason: 'not a keyed table' });
+        delete result[name];
+        return;
+      }
+      result[name] = {};
+      Object.keys(data[name]).forEach((key) => {
+        const record = data[name][key];
+        const reason = name === 'densities' ? (parseFloat(record) > 0 ? null : 'not a positive number') : checkRecord(name, record);
+        if (reason) {
+          rejected.push({ collection: name, label: key, reason });
+        } else {
+          result[name][key] = record;
+        }
+      });
+    });
+    if (data.settings !== undefined && (!data.settings || typeof data.settings !== 'object')) {
+      rejected.push({ collection: 'settings', label: '(all)', reason: 'not an object' });
+      delete result.settings;
+    }
+    return { data: result, rejected };
+  }
+
+  /**
+   * Set aside collections of a backup that do not have the shape their
+   * kind needs (a list, a keyed table or a single object), so migrations
+   * only ever see data they can walk.
+   * @param {Object} data Parsed backup, changed in place
+   * @returns {Array} Rejected collections, as reported by validateData
+   */
+  function dropMisshapenCollections(data) {
+    const rejected = [];
+    storedCollections.forEach(({ name, kind }) => {
+      const value = data[name];
+      if (value === undefined || (kind === 'single' && value === null)) return;
+      const isObject = !!value && typeof value === 'object' && !Array.isArray(value);
+      if (kind === 'list' ? Array.isArray(value) : isObject) return;
+      const reason = { list: 'not a list', table: 'not a keyed table', single: 'not an object' }[kind];
+      rejected.push({ collection: name, label: '(all)', reason });
+      delete data[name];
+    });
+    return rejected;
+  }
+
+  /**
+   * Merge a backup into the current data.  Records are matched by id
+   * (by key for tables, by week for weeks and history); identical
+   * records are skipped and differing ones are conflicts, settled by
+   * `preferIncoming`.  Current settings are kept, gaining any meal
+   * slots, sections and stores only the backup has.
+   * @param {Object} current Data object (see collectData)
+   * @param {Object} incoming Validated backup data
+   * @param {boolean} preferIncoming Take the backup's version on conflict
+   * @returns {{data: Object, added: number, conflicts: number}}
+   */
+  function mergeData(current, incoming, preferIncoming) {
+    const data = { ...current };
+    let added = 0;
+    let conflicts = 0;
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const mergeList = (name, idOf) => {
+      if (!incoming[name]) return;
+      const merged = current[name].slice();
+      incoming[name].forEach((record) => {
+        const idx = merged.findIndex((r) => idOf(r) === idOf(record));
+        if (idx < 0) {
+          merged.push(record);
+          added++;
+        } else if (!same(merged[idx], record)) {
+          conflicts++;
+          if (preferIncoming) merged[idx] = record;
+        }
+      });
+      data[name] = merged;
+    };
+    const mergeTable = (name) => {
+      if (!incoming[name]) return;
+      const merged = { ...current[name] };
+      Object.keys(incoming[name]).forEach((key) => {
+        if (merged[key] === undefined) {
+          merged[key] = incoming[name][key];
+          added++;
+        } else if (!same(merged[key], incoming[name][key])) {
+          conflicts++;
+          if (preferIncoming) merged[key] = incoming[name][key];
+        }
+      });
+      data[name] = merged;
+    };
+    ['recipes', 'pantry', 'catalog', 'templates', 'staples', 'cookLog'].forEach((name) => mergeList(name, (r) => r.id));
+    mergeList('listHistory', (r) => r.weekStart);
+    data.listHistory.sort((a, b) => a.weekStart.localeCompare(b.weekStart));
+    ['weeks', 'densities', 'nutrients', 'prices'].forEach(mergeTable);
+    if (incoming.settings) {
+      const extra = normaliseSettings(incoming.settings);
+      const mergedSettings = { ...current.settings };
+      ['mealSlots', 'sections', 'stores'].forEach((key) => {
+        mergedSettings[key] = current.settings[key].concat(
+          extra[key].filter((item) => !current.settings[key].some((mine) => mine.id === item.id)),
+        );
+      });
+      data.settings = mergedSettings;
+    }
+    if (!current.lastList.weekStart && incoming.lastList) data.lastList = incoming.lastList;
+    return { data, added, conflicts };
+  }
+
+  /**
+   * Show what an import did, including each rejected record.
+   * @param {string} summary
+   * @param {Array} rejected From validateData
+   */
+  function renderImportReport(summary, rejected) {
+    const reportEl = document.getElementById('import-report');
+    reportEl.innerHTML = '';
+    reportEl.classList.remove('section-hidden');
+    const p = document.createElement('p');
+    p.textContent = summary;
+    reportEl.appendChild(p);
+    if (rejected.length === 0) return;
+    const details = document.createElement('details');
+    details.open = rejected.length <= 10;
+    const title = document.createElement('summary');
+    title.textContent = `${rejected.length} record(s) rejected`;
+    details.appendChild(title);
+    const list = document.createElement('ul');
+    rejected.forEach((r) => {
+      const li = document.createElement('li');
+      li.textContent = `${r.collection}: ${r.label} — ${r.reason}`;
+      list.appendChild(li);
+    });
+    details.appendChild(list);
+    reportEl.appendChild(details);
+  }
+
+  /**
+   * Re-render every view after the data was replaced as a whole (import,
+   * merge).
+   */
+  function refreshAllViews() {
+    renderRecipeList();
+    renderPantry();
+    renderDensities();
+    renderNutrients();
+    renderCatalog();
+    renderCatalogSuggestions();
+    renderMealSlotSettings();
+    renderSectionSettings();
+    renderStoreSettings();
+    document
+      .querySelectorAll('#pantry-section, #catalog-section, #adhoc-section, #staple-section')
+      .forEach(populateSectionSelect);
+    renderAutoFillSettings();
+    renderBudgetSettings();
+    renderPrices();
+    renderStaples();
+    renderRecipeSlotOptions([]);
+    const wsInput = document.getElementById('week-start');
+    if (wsInput.value) {
+      const ws = getWeekStart(wsInput.value);
+      renderPlan(ws);
+    }
+    // If a list was previously saved for this week, render it
+    const currentWeekStart = wsInput.value ? getWeekStart(wsInput.value) : null;
+    if (lastList && lastList.weekStart === currentWeekStart) {
+      document.getElementById('list-controls').classList.remove('section-hidden');
+      renderGroceryList();
+    } else {
+      document.getElementById('grocery-list').innerHTML = '';
+      document.getElementById('list-budget').innerHTML = '';
+    }
+  }
+
+  /**
+   * Import a backup file's text, either replacing all data or merging
+   * into it as chosen in Settings.  Older backups are migrated first and
+   * invalid records are reported rather than failing the whole import.
+   * @param {string} text
+   */
+  function importBackup(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      showToast('Failed to import: the file is not valid JSON');
+      return;
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      showToast('Failed to import: invalid backup file');
+      return;
+    }
+    const version = parseInt(parsed.schemaVersion, 10) || 1;
+    if (version > schemaVersion) {
+      alert('This backup was made by a newer version of the planner and cannot be imported.');
+      return;
+    }
+    const mode = document.getElementById('import-mode').value;
+    const previous = collectData();
+    let rejected;
+    let summary;
+    try {
+      const misshapen = dropMisshapenCollections(parsed);
+      const validated = validateData(migrateData(parsed, version));
+      const incoming = validated.data;
+      rejected = misshapen.concat(validated.rejected);
+      if (mode === 'merge') {
+        const preferIncoming = document.getElementById('import-conflict').value === 'backup';
+        const { data, added, conflicts } = mergeData(previous, incoming, preferIncoming);
+        applyData(data);
+        summary = `Merged backup: ${added} record(s) added, ${conflicts} conflict(s) ${
+          preferIncoming ? 'taken from the backup' : 'kept as they were'
+        }.`;
+      } else {
+        if (!Array.isArray(incoming.recipes) || !Array.isArray(incoming.pantry) || !incoming.weeks) {
+          showToast('Failed to import: invalid backup file');
+          return;
+        }
+        // Older backups predate these; keep the current ones then
+        ['densities', 'catalog', 'nutrients', 'prices', 'settings'].forEach((name) => {
+          if (incoming[name] === undefined) incoming[name] = previous[name];
+        });
+        applyData(incoming);
+        summary = `Replaced all data with the backup (schema version ${version}${version < schemaVersion ? ', upgraded' : ''}).`;
+      }
+    } catch (err) {
+      // Leave the current data as it was
+      applyData(previous);
+      showToast(`Failed to import: ${err && err.message ? err.message : 'invalid backup file'}`);
+      return;
+    }
+    remapUnknownSections();
+    saveData('import backup');
+    refreshAllViews();
+    renderImportReport(summary, rejected);
+    showToast(rejected.length > 0 ? `Imported with ${rejected.length} record(s) rejected` : 'Data imported successfully');
+  }
+
+  /**
+   * Set up export and import buttons in Settings section.
+   */
+  function setupSettings() {
+    const exportBtn = document.getElementById('export-data');
+    const importBtn = document.getElementById('import-data');
+    const fileInput = document.getElementById('import-file');
+    exportBtn.addEventListener('click', () => {
+      const json = JSON.stringify(collectData(), null, 2);
+      const dateStr = new Date().toISOString().substr(0, 10);
+      downloadFile(`grocery_planner_backup_${dateStr}.json`, json, 'application/json');
+      showToast('Backup downloaded');
+    });
+    importBtn.addEventListener('click', () => {
+      fileInput.value = '';
+      fileInput.click();
+    });
+    fileInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => importBackup(reader.result);
+      reader.readAsText(file);
+    });
+    const modeSelect = document.getElementById('import-mode');
+    const toggleConflict = () => {
+      document.getElementById('import-conflict-field').classList.toggle('section-hidden', modeSelect.value !== 'merge');
+    };
+    modeSelect.addEventListener('change', toggleConflict);
+    toggleConflict();
+  }
+
+  /**
+   * Group grocery list items by section, in the active store's aisle
+   * order.  Items whose section no longer exists come last as "Other".
+   * @param {Array<Object>} items
+   * @returns {Array<{name: string, items: Array<Object>}>}
+   */
+  function groupListBySection(items) {
+    const groups = {};
+    items.forEach((item) => {
+      const sec = item.sectionId || 'misc';
+      if (!groups[sec]) groups[sec] = [];
+      groups[sec].push(item);
+    });
+    const result = getSectionOrder(settings.activeStoreId)
+      .filter((sec) => groups[sec.id])
+      .map((sec) => ({ name: sec.name, items: groups[sec.id] }));
+    const others = Object.keys(groups).filter((secId) => !settings.sections.find((s) => s.id === secId));
+    if (others.length > 0) {
+      result.push({ name: 'Other', items: [].concat(...others.map((secId) => groups[secId])) });
+    }
+    return result;
+  }
+
+  /**
+   * Describe a grocery line or ingredient as quantity, unit and name,
+   * e.g. "2 pc Bread".
+   * @param {Object} item { qty, unitId, name }
+   * @returns {string}
+   */
+  function describeListItem(item) {
+    const unitObj = units.find((u) => u.id === item.unitId);
+    return `${item.qty} ${unitObj ? unitObj.short : ''} ${item.name}`.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Build a plain text representation of the current grocery list for copying.
+   * Groups items by section and respects the hide toggles.
+   */
+  function buildPlainList() {
+    if (!lastList || !lastList.items) return '';
+    const hideChecked = document.getElementById('hide-checked').checked;
+    const hideCovered = document.getElementById('hide-covered').checked;
+    const shown = lastList.items.filter((item) => !(hideCovered && item.covered) && !(hideChecked && item.checked));
+    let text = '';
+    groupListBySection(shown).forEach((group) => {
+      text += `${group.name}\n`;
+      group.items.forEach((item) => {
+        text += `- ${describeListItem(item)}\n`;
+      });
+      text += '\n';
+    });
+    return text.trim();
+  }
+
+  /**
+   * Join fields into one CSV line, quoting fields that contain commas,
+   * quotes or line breaks (the reverse of parseCsvLine).
+   * @param {Array} fields
+   * @returns {string}
+   */
+  function toCsvLine(fields) {
+    return fields
+      .map((field) => {
+        const text = String(field);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      })
+      .join(',');
+  }
+
+  /**
+   * Build the whole grocery list as CSV, one row per line with its
+   * section, checked state, kind and cost.
+   * @returns {string}
+   */
+  function buildListCsv() {
+    const rows = [['Section', 'Item', 'Quantity', 'Unit', 'Checked', 'In pantry', 'Kind', 'Estimated cost', 'Paid']];
+    groupListBySection(lastList.items).forEach((group) => {
+      group.items.forEach((item) => {
+        const unitObj = units.find((u) => u.id === item.unitId);
+        const estimate = item.covered ? null : estimateItemCost(item);
+        rows.push([
+          group.name,
+          item.name,
+          item.qty,
+          unitObj ? unitObj.short : item.unitId,
+          item.checked ? 'yes' : 'no',
+          item.covered ? 'yes' : 'no',
+          item.restock ? 'restock' : item.staple ? 'staple' : item.manual ? 'added' : 'recipe',
+          estimate ? estimate.cost.toFixed(2) : '',
+          typeof item.paid === 'number' ? item.paid.toFixed(2) : '',
+        ]);
+      });
+    });
+    return rows.map(toCsvLine).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Build the whole grocery list as a Markdown checklist, one heading
+   * per section, ticked where the item is checked.
+   * @returns {string}
+   */
+  function buildListMarkdown() {
+    let text = `# Grocery list (week of ${lastList.weekStart})\n`;
+    groupListBySection(lastList.items).forEach((group) => {
+      text += `\n## ${group.name}\n\n`;
+      group.items.forEach((item) => {
+        text += `- [${item.checked ? 'x' : ' '}] ${describeListItem(item)}${item.covered ? ' (in pantry)' : ''}\n`;
+      });
+    });
+    return text;
+  }
+
+  /**
+   * Offer text to the user as a downloaded file.
+   * @param {string} filename
+   * @param {string} text
+   * @param {string} type MIME type
+   */
+  function downloadFile(filename, text, type) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Escape text for an iCalendar property value (RFC 5545).
+   * @param {string} text
+   * @returns {string}
+   */
+  function escapeIcsText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold an iCalendar content line so no line exceeds 75 bytes,
+   * continuing on lines that start with a space.
+   * @param {string} line
+   * @returns {string}
+   */
+  function foldIcsLine(line) {
+    let result = '';
+    let bytes = 0;
+    for (const ch of line) {
+      const code = ch.codePointAt(0);
+      const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+      if (bytes + size > 75) {
+        result += '\r\n ';
+        bytes = 1;
+      }
+      result += ch;
+      bytes += size;
+    }
+    return result;
+  }
+
+  /**
+   * Format a local date and time as an iCalendar floating date-time,
+   * e.g. 20261019T183000, so events keep their clock time wherever the
+   * calendar is opened.
+   * @param {Date} d
+   * @returns {string}
+   */
+  function formatIcsDate(d) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}T${pad(d.getHours())}${pad(d.getMinutes())}00`;
+  }
+
+  /**
+   * Build an iCalendar file for a planned week: one event per meal at
+   * its slot's time, with each dish's servings, ingredients and
+   * instructions in the description.
+   * @param {string} weekStart ISO date of the Monday
+   * @returns {{text: string, count: number}} The file and how many meals it holds
+   */
+  function buildWeekCalendar(weekStart) {
+    const meals = {};
+    forEachPlannedDish(weeks[weekStart] || { days: {} }, (dish, recipe, date, slotId) => {
+      const key = `${date}|${slotId}`;
+      if (!meals[key]) meals[key] = { date, slotId, dishes: [] };
+      meals[key].dishes.push({ dish, recipe });
+    });
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Grocery Planner//Meal Plan//EN', 'CALSCALE:GREGORIAN'];
+    Object.values(meals).forEach((meal) => {
+      const slot = settings.mealSlots.find((s) => s.id === meal.slotId);
+      const [hours, minutes] = slot.time.split(':').map(Number);
+      const start = new Date(`${meal.date}T00:00:00`);
+      start.setHours(hours, minutes);
+      const end = new Date(start.getTime() + mealEventMinutes * 60000);
+      const description = meal.dishes
+        .map(({ dish, recipe }) => {
+          const servings = dish.servings || recipe.servings;
+          return [
+            `${recipe.title}${servings ? ` (serves ${servings})` : ''}`,
+            recipe.ingredients.map((ing) => `- ${describeListItem(ing)}`).join('\n'),
+            (recipe.instructions || '').trim(),
+          ]
+            .filter(Boolean)
+            .join('\n\n');
+        })
+        .join('\n\n---\n\n');
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${meal.date}-${meal.slotId}@grocery-planner`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatIcsDate(start)}`,
+        `DTEND:${formatIcsDate(end)}`,
+        `SUMMARY:${escapeIcsText(`${slot.name}: ${meal.dishes.map((d) => d.recipe.title).join(', ')}`)}`,
+        `DESCRIPTION:${escapeIcsText(description)}`,
+        'END:VEVENT',
+      );
+    });
+    lines.push('END:VCALENDAR');
+    return { text: `${lines.map(foldIcsLine).join('\r\n')}\r\n`, count: Object.keys(meals).length };
+  }
+
+  /**
+   * Render one grocery list line: its checkbox, label and estimated
+   * cost.
+   * @param {HTMLElement} listEl
+   * @param {Object} item List item plus its `index` in lastList.items
+   * @param {Object|null} estimate From estimateItemCost
+   */
+  function renderGroceryItem(listEl, item, estimate) {
+    const li = document.createElement('li');
+    if (item.covered) li.classList.add('covered');
+    // Create checkbox and label
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    const checkboxId = `gl-${item.index}`;
+    checkbox.id = checkboxId;
+    checkbox.checked = !!item.checked;
+    // Provide an aria-label on the checkbox for accessibility.  This
+    // label contains the quantity, unit and item name so that
+    // screen readers can announce the item without relying on
+    // visual context.  Append a note when the item is fully
+    // covered by the pantry so that users know it is optional.
+    const unitObj = units.find((u) => u.id === item.unitId);
+    const baseLabel = `${item.qty} ${unitObj ? unitObj.short : ''} ${item.name}`.trim();
+    const aria = item.covered ? `${baseLabel} (covered by pantry)` : baseLabel;
+    checkbox.setAttribute('aria-label', aria);
+    checkbox.addEventListener('change', () => {
+      lastList.items[item.index].checked = checkbox.checked;
+      saveData(checkbox.checked ? 'tick list item' : 'untick list item', ['lastList']);
+      // Re-render to hide the item (with hideChecked on) or to swap its
+      // cost for the paid-price field
+      renderGroceryList();
+    });
+    const label = document.createElement('label');
+    label.setAttribute('for', checkboxId);
+    label.textContent = `${item.qty} ${unitObj ? unitObj.short : ''} ${item.name}${
+      item.stocked ? ' (in pantry)' : ''
+    }`;
+    li.appendChild(checkbox);
+    li.appendChild(label);
+    if (item.staple || item.manual || item.restock) {
+      const tag = document.createElement('span');
+      tag.classList.add('tag-chip');
+      if (item.restock) tag.classList.add('restock');
+      tag.textContent = item.restock ? 'restock' : item.staple ? 'staple' : 'added';
+      label.appendChild(document.createTextNode(' '));
+      label.appendChild(tag);
+    }
+    if (item.checked) {
+      // Ticked items take the price paid, shown against the estimate
+      const paidInput = document.createElement('input');
+      paidInput.type = 'number';
+      paidInput.min = '0';
+      paidInput.step = '0.01';
+      paidInput.classList.add('item-cost', 'paid-input');
+      paidInput.placeholder = estimate ? `≈ ${formatPrice(estimate.cost)}` : `Paid (${settings.currency})`;
+      if (typeof item.paid === 'number') paidInput.value = item.paid;
+      paidInput.setAttribute('aria-label', `Price paid for ${item.name}`);
+      paidInput.addEventListener('change', () => {
+        const paid = parseFloat(paidInput.value);
+        const listItem = lastList.items[item.index];
+        if (paid >= 0) listItem.paid = paid;
+        else delete listItem.paid;
+        saveData('record price paid', ['lastList']);
+        renderGroceryList();
+      });
+      li.appendChild(paidInput);
+    } else {
+      li.appendChild(createItemCost(item, estimate));
+    }
+    if (item.manual) {
+      const delBtn = document.createElement('button');
+      delBtn.classList.add('close-btn');
+      delBtn.title = 'Remove item';
+      delBtn.setAttribute('aria-label', `Remove ${item.name} from the list`);
+      delBtn.textContent = '✕';
+      delBtn.addEventListener('click', () => {
+        lastList.items.splice(item.index, 1);
+        saveData('remove list item', ['lastList']);
+        renderGroceryList();
+      });
+      li.appendChild(delBtn);
+    }
+    listEl.appendChild(li);
+  }
+
+  /**
+   * What a grocery item adds to the list's totals: the price paid when
+   * one was recorded, nothing for items the pantry covers, otherwise the
+   * estimate.  The section subtotals and the total both use this.
+   * @param {Object} item List item
+   * @param {Object|null} estimate From estimateItemCost
+   * @returns {number|null} null when the item has no price at all
+   */
+  function listItemCost(item, estimate) {
+    if (typeof item.paid === 'number') return item.paid;
+    if (item.covered) return 0;
+    return estimate ? estimate.cost : null;
   }
 
   /**
-   * Set up the grocery list button.
+   * Build the cost shown beside an unticked grocery item: the price
+   * paid, the estimate, or a note that it has no price.
+   * @param {Object} item List item
+   * @param {Object|null} estimate From estimateItemCost
+   * @returns {HTMLElement}
    */
-  function setupGroceryList() {
-    document
-      .getElementById('generate-list')
-      .addEventListener('click', generateGroceryList);
-    // List control toggles
-    document.getElementById('hide-checked').addEventListener('change', () => {
-      renderGroceryList();
-    });
-    document.getElementById('hide-covered').addEventListener('change', () => {
-      renderGroceryList();
-    });
-    // Copy list to clipboard
-    document.getElementById('copy-list').addEventListener('click', () => {
-      const plainText = buildPlainList();
-      navigator.clipboard
-        .writeText(plainText)
-        .then(() => showToast('List copied to clipboard'))
-        .catch(() => alert('Failed to copy'));
-    });
-    // Print list
-    document.getElementById('print-list').addEventListener('click', () => {
-      window.print();
-    });
+  function createItemCost(item, estimate) {
+    const costSpan = document.createElement('span');
+    costSpan.classList.add('item-cost');
+    if (typeof item.paid === 'number') {
+      costSpan.textContent = `paid ${formatPrice(item.paid)}`;
+    } else if (estimate) {
+      costSpan.textContent = `≈ ${formatPrice(estimate.cost)}`;
+      costSpan.title = `${estimate.packs} pack(s)`;
+    } else if (!item.covered) {
+      costSpan.textContent = 'no price';
+      costSpan.classList.add('unpriced');
+    }
+    return costSpan;
   }
 
   /**
-   * Set up export and import buttons in Settings section.
+   * Add an item typed into the grocery list.  Without a list for the
+   * selected week yet, a new one is started.
+   * @param {Object} item { name, qty, unitId, sectionId }
    */
-  function setupSettings() {
-    const exportBtn = document.getElementById('export-data');
-    const importBtn = document.getElementById('import-data');
-    const fileInput = document.getElementById('import-file');
-    exportBtn.addEventListener('click', () => {
-      const data = {
-        recipes,
-        pantry,
-        weeks,
-        lastList,
-      };
-      const json = JSON.stringify(data, null, 2);
-      const blob = new Blob([json], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      const dateStr = new Date().toISOString().substr(0, 10);
-      a.download = `grocery_planner_backup_${dateStr}.json`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-      showToast('Backup downloaded');
-    });
-    importBtn.addEventListener('click', () => {
-      fileInput.value = '';
-      fileInput.click();
-    });
-      fileInput.addEventListener('change', (e) => {
-      const file = e.target.files[0];
-      if (!file) return;
-      const reader = new FileReader();
-      reader.onload = () => {
-        try {
-          const data = JSON.parse(reader.result);
-          // Basic validation: ensure top‑level keys exist and types are correct
-          if (!data || typeof data !== 'object') throw new Error();
-          if (!Array.isArray(data.recipes) || !Array.isArray(data.pantry) || typeof data.weeks !== 'object' || !data.weeks) throw new Error();
-          // lastList may be undefined; default to empty structure
-          recipes = data.recipes;
-          pantry = data.pantry;
-          weeks = data.weeks;
-          lastList = data.lastList || { weekStart: null, items: [] };
-          saveData();
-          // Rebuild UI
-          renderRecipeList();
-          renderPantry();
-          const wsInput = document.getElementById('week-start');
-          if (wsInput.value) {
-            const ws = getWeekStart(wsInput.value);
-            renderPlan(ws);
-          }
-          // If a list was previously saved for this week, render it
-          const currentWeekStart = wsInput.value ? getWeekStart(wsInput.value) : null;
-          if (lastList && lastList.weekStart === currentWeekStart) {
-            document.getElementById('list-controls').classList.remove('section-hidden');
-            renderGroceryList();
-          }
-          showToast('Data imported successfully');
-        } catch (err) {
-          showToast('Failed to import: invalid backup file');
-        }
-      };
-      reader.readAsText(file);
-    });
+  function addManualListItem(item) {
+    const weekStartInput = document.getElementById('week-start');
+    if (!weekStartInput.value) {
+      alert('Please select a week start date.');
+      return;
+    }
+    const weekStart = getWeekStart(weekStartInput.value);
+    if (!lastList || lastList.weekStart !== weekStart) {
+      closeCheckout();
+      if (lastList && lastList.weekStart) archiveList(lastList);
+      lastList = { weekStart, items: [] };
+      document.getElementById('list-controls').classList.remove('section-hidden');
+    }
+    lastList.items.push({ ...item, covered: false, checked: false, manual: true });
+    saveData('add list item', ['lastList', 'listHistory']);
+    renderGroceryList();
+    showToast(`Added to list: ${item.name}`);
   }
 
   /**
-   * Build a plain text representation of the current grocery list for copying.
-   * Groups items by section and respects the hide toggles.
+   * Describe a staple's recurrence rule.
+   * @param {Object} staple
+   * @returns {string}
    */
-  function buildPlainList() {
-    if (!lastList || !lastList.items) return '';
-    const hideChecked = document.getElementById('hide-checked').checked;
-    const hideCovered = document.getElementById('hide-covered').checked;
-    // Group by section
-    const groups = {};
-    lastList.items.forEach((item) => {
-      if (hideCovered && item.covered) return;
-      if (hideChecked && item.checked) return;
-      const sec = item.sectionId || 'misc';
-      if (!groups[sec]) groups[sec] = [];
-      groups[sec].push(item);
-    });
-    let text = '';
-    const sortedSections = sections.slice().sort((a, b) => a.sort - b.sort);
-    sortedSections.forEach((sec) => {
-      if (groups[sec.id] && groups[sec.id].length > 0) {
-        text += `${sec.name}\n`;
-        groups[sec.id].forEach((item) => {
-          const unitObj = units.find((u) => u.id === item.unitId);
-          text += `- ${item.qty} ${unitObj ? unitObj.short : ''} ${item.name}\n`;
+  function describeStapleRule(staple) {
+    if (staple.rule === 'below') {
+      const unitObj = units.find((u) => u.id === staple.unitId);
+      return `when the pantry has under ${staple.threshold} ${unitObj ? unitObj.short : ''}`.trim();
+    }
+    return staple.rule === 'biweekly' ? 'every 2 weeks' : 'every week';
+  }
+
+  /**
+   * Render the staples list in Settings.
+   */
+  function renderStaples() {
+    const listEl = document.getElementById('staple-list');
+    listEl.innerHTML = '';
+    staples
+      .slice()
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach((staple) => {
+        const li = document.createElement('li');
+        const span = document.createElement('span');
+        const unitObj = units.find((u) => u.id === staple.unitId);
+        span.textContent = `${staple.qty} ${unitObj ? unitObj.short : ''} ${staple.name}, ${describeStapleRule(staple)}`;
+        li.appendChild(span);
+        const delBtn = document.createElement('button');
+        delBtn.classList.add('close-btn');
+        delBtn.title = 'Remove staple';
+        delBtn.setAttribute('aria-label', `Remove staple: ${staple.name}`);
+        delBtn.textContent = '✕';
+        delBtn.addEventListener('click', () => {
+          staples = staples.filter((st) => st.id !== staple.id);
+          saveData('remove staple', ['staples']);
+          renderStaples();
+          showToast(`Removed staple: ${staple.name}`);
         });
-        text += '\n';
-      }
+        li.appendChild(delBtn);
+        listEl.appendChild(li);
+      });
+  }
+
+  /**
+   * Initialise the ad-hoc item form on the grocery list and the staples
+   * form in Settings.
+   */
+  function setupListItemForms() {
+    const adhocUnit = document.getElementById('adhoc-unit');
+    const adhocSection = document.getElementById('adhoc-section');
+    populateUnitSelect(adhocUnit);
+    populateSectionSelect(adhocSection);
+    adhocUnit.value = 'pc';
+    adhocSection.value = 'household';
+    const adhocName = document.getElementById('adhoc-name');
+    adhocName.addEventListener('change', () => applyCatalogDefaults(adhocName.value, adhocUnit, adhocSection));
+    const adhocForm = document.getElementById('adhoc-form');
+    adhocForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const name = adhocName.value.trim();
+      const qty = parseFloat(document.getElementById('adhoc-qty').value);
+      if (!name) return;
+      addManualListItem({ name, qty: qty > 0 ? qty : 1, unitId: adhocUnit.value, sectionId: adhocSection.value });
+      adhocName.value = '';
+      document.getElementById('adhoc-qty').value = '';
+      adhocName.focus();
     });
-    // Other sections
-    Object.keys(groups).forEach((secId) => {
-      if (!sections.find((s) => s.id === secId)) {
-        text += 'Other\n';
-        groups[secId].forEach((item) => {
-          const unitObj = units.find((u) => u.id === item.unitId);
-          text += `- ${item.qty} ${unitObj ? unitObj.short : ''} ${item.name}\n`;
-        });
-        text += '\n';
+    const stapleUnit = document.getElementById('staple-unit');
+    const stapleSection = document.getElementById('staple-section');
+    const stapleRule = document.getElementById('staple-rule');
+    const thresholdInput = document.getElementById('staple-threshold');
+    populateUnitSelect(stapleUnit);
+    populateSectionSelect(stapleSection);
+    const stapleName = document.getElementById('staple-name');
+    stapleName.addEventListener('change', () => applyCatalogDefaults(stapleName.value, stapleUnit, stapleSection));
+    const toggleThreshold = () => {
+      thresholdInput.parentElement.classList.toggle('section-hidden', stapleRule.value !== 'below');
+      thresholdInput.required = stapleRule.value === 'below';
+    };
+    stapleRule.addEventListener('change', toggleThreshold);
+    toggleThreshold();
+    const stapleForm = document.getElementById('staple-form');
+    stapleForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const name = stapleName.value.trim();
+      const qty = parseFloat(document.getElementById('staple-qty').value);
+      const threshold = parseFloat(thresholdInput.value);
+      if (!name || !(qty > 0) || (stapleRule.value === 'below' && !(threshold >= 0))) {
+        alert('Please provide a name, a quantity and, for pantry-based staples, a threshold.');
+        return;
       }
+      const weekStartVal = document.getElementById('week-start').value;
+      staples.push({
+        id: generateId(),
+        name,
+        qty,
+        unitId: stapleUnit.value,
+        sectionId: stapleSection.value,
+        rule: stapleRule.value,
+        threshold: stapleRule.value === 'below' ? threshold : null,
+        // Fortnightly staples count from the week being planned
+        since: getWeekStart(weekStartVal || new Date().toISOString().substr(0, 10)),
+      });
+      saveData('add staple', ['staples']);
+      stapleForm.reset();
+      toggleThreshold();
+      renderStaples();
+      showToast(`Added staple: ${name}`);
     });
-    return text.trim();
   }
 
   /**
-   * Render the grocery list interactively with checkboxes and section headers.
+   * Render the grocery list interactively with checkboxes and section
+   * headers.  Lines show their estimated cost, sections a subtotal and
+   * the list ends with the total against the weekly budget.
    */
   function renderGroceryList() {
     const listEl = document.getElementById('grocery-list');
     listEl.innerHTML = '';
+    const summaryEl = document.getElementById('list-budget');
+    summaryEl.innerHTML = '';
     if (!lastList || !lastList.items) return;
     const hideChecked = document.getElementById('hide-checked').checked;
     const hideCovered = document.getElementById('hide-covered').checked;
@@ -1019,105 +5962,695 @@ document.addEventListener('DOMContentLoaded', () => {
       if (!groups[sec]) groups[sec] = [];
       groups[sec].push({ ...item, index: idx });
     });
-    const sortedSections = sections.slice().sort((a, b) => a.sort - b.sort);
-    // Render known sections first
-    sortedSections.forEach((sec) => {
-      if (groups[sec.id] && groups[sec.id].length > 0) {
-        const header = document.createElement('li');
-        header.textContent = sec.name;
-        header.style.fontWeight = 'bold';
-        listEl.appendChild(header);
-        groups[sec.id].forEach((item) => {
-          const li = document.createElement('li');
-          if (item.covered) li.classList.add('covered');
-          // Create checkbox and label
-          const checkbox = document.createElement('input');
-          checkbox.type = 'checkbox';
-          const checkboxId = `gl-${item.index}`;
-          checkbox.id = checkboxId;
-          checkbox.checked = !!item.checked;
-          // Provide an aria-label on the checkbox for accessibility.  This
-          // label contains the quantity, unit and item name so that
-          // screen readers can announce the item without relying on
-          // visual context.  Append a note when the item is fully
-          // covered by the pantry so that users know it is optional.
-          {
-            const unitObj = units.find((u) => u.id === item.unitId);
-            const baseLabel = `${item.qty} ${unitObj ? unitObj.short : ''} ${item.name}`.trim();
-            const aria = item.covered ? `${baseLabel} (covered by pantry)` : baseLabel;
-            checkbox.setAttribute('aria-label', aria);
-          }
-          checkbox.addEventListener('change', () => {
-            lastList.items[item.index].checked = checkbox.checked;
-            saveData();
-            // If hideChecked is on, hide item on check
-            if (document.getElementById('hide-checked').checked) {
-              renderGroceryList();
-            }
-          });
-          const label = document.createElement('label');
-          label.setAttribute('for', checkboxId);
-          {
-            const unitObj = units.find((u) => u.id === item.unitId);
-            label.textContent = `${item.qty} ${unitObj ? unitObj.short : ''} ${item.name}`;
-          }
-          li.appendChild(checkbox);
-          li.appendChild(label);
-          listEl.appendChild(li);
+    // Known sections in store order, then anything unknown as "Other"
+    const sortedSections = getSectionOrder(settings.activeStoreId);
+    const ordered = sortedSections
+      .filter((sec) => groups[sec.id] && groups[sec.id].length > 0)
+      .map((sec) => ({ name: sec.name, items: groups[sec.id] }));
+    Object.keys(groups).forEach((secId) => {
+      if (!settings.sections.find((s) => s.id === secId)) {
+        ordered.push({ name: 'Other', items: groups[secId] });
+      }
+    });
+    // Costs cover every line still to buy, whether or not it is shown
+    let total = 0;
+    let unpriced = 0;
+    lastList.items.forEach((item) => {
+      if (!item) return;
+      const cost = listItemCost(item, estimateItemCost(item));
+      if (cost === null) unpriced++;
+      else total += cost;
+    });
+    ordered.forEach((group) => {
+      const estimates = group.items.map((item) => estimateItemCost(item));
+      const subtotal = group.items.reduce((sum, item, i) => sum + (listItemCost(item, estimates[i]) || 0), 0);
+      const header = document.createElement('li');
+      header.style.fontWeight = 'bold';
+      header.textContent = group.name;
+      if (subtotal > 0) {
+        const subSpan = document.createElement('span');
+        subSpan.classList.add('item-cost');
+        subSpan.textContent = formatPrice(subtotal);
+        header.appendChild(subSpan);
+      }
+      listEl.appendChild(header);
+      group.items.forEach((item, i) => renderGroceryItem(listEl, item, item.covered ? null : estimates[i]));
+    });
+    // Total against the weekly budget
+    const totalEl = document.createElement('strong');
+    totalEl.textContent = `Estimated total: ${formatPrice(total)}`;
+    summaryEl.appendChild(totalEl);
+    const budget = settings.weeklyBudget;
+    if (budget > 0) {
+      const diff = budget - total;
+      const budgetSpan = document.createElement('span');
+      budgetSpan.textContent =
+        diff >= 0 ? ` of ${formatPrice(budget)} budget (${formatPrice(diff)} left)` : ` — ${formatPrice(-diff)} over the ${formatPrice(budget)} budget`;
+      summaryEl.appendChild(budgetSpan);
+    }
+    summaryEl.classList.toggle('over-budget', budget > 0 && total > budget);
+    if (unpriced > 0) {
+      const note = document.createElement('span');
+      note.classList.add('unpriced');
+      note.textContent = ` (${unpriced} item(s) without a price)`;
+      summaryEl.appendChild(note);
+    }
+  }
+
+  /**
+   * Render the price list in Settings, with the current estimate per
+   * pack when purchases have refined it.
+   */
+  function renderPrices() {
+    const listEl = document.getElementById('price-list');
+    listEl.innerHTML = '';
+    Object.keys(prices)
+      .sort((a, b) => prices[a].name.localeCompare(prices[b].name))
+      .forEach((key) => {
+        const entry = prices[key];
+        const unitObj = units.find((u) => u.id === entry.unitId);
+        const li = document.createElement('li');
+        const span = document.createElement('span');
+        let text = `${entry.name}: ${formatPrice(entry.price)} per ${entry.packQty} ${unitObj ? unitObj.short : ''}`;
+        const purchases = entry.purchases || [];
+        if (purchases.length > 0) {
+          const unitPrice = getUnitPrice(entry);
+          text += ` (now ≈ ${formatPrice(unitPrice * entry.packQty)} from ${purchases.length} purchase(s))`;
+        }
+        span.textContent = text;
+        li.appendChild(span);
+        const editBtn = document.createElement('button');
+        editBtn.classList.add('close-btn');
+        editBtn.title = 'Edit price';
+        editBtn.setAttribute('aria-label', `Edit price for ${entry.name}`);
+        editBtn.textContent = '✎';
+        editBtn.addEventListener('click', () => {
+          document.getElementById('price-name').value = entry.name;
+          document.getElementById('price-amount').value = entry.price;
+          document.getElementById('price-pack').value = entry.packQty;
+          document.getElementById('price-unit').value = entry.unitId;
+          document.getElementById('price-name').focus();
         });
+        li.appendChild(editBtn);
+        const delBtn = document.createElement('button');
+        delBtn.classList.add('close-btn');
+        delBtn.title = 'Remove price';
+        delBtn.setAttribute('aria-label', `Remove price for ${entry.name}`);
+        delBtn.textContent = '✕';
+        delBtn.addEventListener('click', () => {
+          delete prices[key];
+          saveData('remove price', ['prices']);
+          renderPrices();
+          renderGroceryList();
+          showToast(`Removed price: ${entry.name}`);
+        });
+        li.appendChild(delBtn);
+        listEl.appendChild(li);
+      });
+  }
+
+  /**
+   * Show the currency and weekly budget settings.
+   */
+  function renderBudgetSettings() {
+    document.getElementById('budget-currency').value = settings.currency;
+    document.getElementById('budget-weekly').value = settings.weeklyBudget || '';
+  }
+
+  /**
+   * Initialise the price form and budget settings.  Saving a price for
+   * an ingredient that already has one replaces the pack price but
+   * keeps its purchase history.
+   */
+  function setupPriceForm() {
+    const unitSelect = document.getElementById('price-unit');
+    populateUnitSelect(unitSelect);
+    const nameInput = document.getElementById('price-name');
+    nameInput.addEventListener('change', () => {
+      const entry = findCatalogEntry(nameInput.value);
+      if (entry && entry.unitId) unitSelect.value = entry.unitId;
+    });
+    const form = document.getElementById('price-form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const name = nameInput.value.trim();
+      const price = parseFloat(document.getElementById('price-amount').value);
+      const packQty = parseFloat(document.getElementById('price-pack').value);
+      if (!name || !(price >= 0) || !(packQty > 0)) {
+        alert('Please provide an ingredient, a price and a pack size.');
+        return;
       }
+      const key = ingredientKey(name);
+      const catalogEntry = findCatalogEntry(name);
+      const previous = prices[key];
+      prices[key] = {
+        name: catalogEntry ? catalogEntry.name : name,
+        price,
+        packQty,
+        unitId: unitSelect.value,
+        // Purchases in units that no longer convert would skew estimates
+        purchases: previous
+          ? (previous.purchases || []).filter(
+              (p) => convertUnit(p.qty, p.unitId, unitSelect.value, name) !== null,
+            )
+          : [],
+      };
+      saveData('save price', ['prices']);
+      form.reset();
+      renderPrices();
+      renderGroceryList();
+      showToast(`Saved price: ${prices[key].name}`);
     });
-    // Render unknown sections
-    Object.keys(groups).forEach((secId) => {
-      if (!sections.find((s) => s.id === secId)) {
-        const header = document.createElement('li');
-        header.textContent = 'Other';
-        header.style.fontWeight = 'bold';
-        listEl.appendChild(header);
-        groups[secId].forEach((item) => {
-          const li = document.createElement('li');
-          if (item.covered) li.classList.add('covered');
-          const checkbox = document.createElement('input');
-          checkbox.type = 'checkbox';
-          const checkboxId = `gl-${item.index}`;
-          checkbox.id = checkboxId;
-          checkbox.checked = !!item.checked;
-          // Provide an aria-label on the checkbox for accessibility.
-          {
-            const unitObj = units.find((u) => u.id === item.unitId);
-            const baseLabel = `${item.qty} ${unitObj ? unitObj.short : ''} ${item.name}`.trim();
-            const aria = item.covered ? `${baseLabel} (covered by pantry)` : baseLabel;
-            checkbox.setAttribute('aria-label', aria);
-          }
-          checkbox.addEventListener('change', () => {
-            lastList.items[item.index].checked = checkbox.checked;
-            saveData();
-            if (document.getElementById('hide-checked').checked) {
-              renderGroceryList();
-            }
-          });
-          const label = document.createElement('label');
-          label.setAttribute('for', checkboxId);
-          {
-            const unitObj = units.find((u) => u.id === item.unitId);
-            label.textContent = `${item.qty} ${unitObj ? unitObj.short : ''} ${item.name}`;
+    document.getElementById('budget-currency').addEventListener('change', (e) => {
+      settings.currency = e.target.value.trim();
+      saveData('change currency', ['settings']);
+      renderPrices();
+      renderGroceryList();
+    });
+    document.getElementById('budget-weekly').addEventListener('change', (e) => {
+      const value = parseFloat(e.target.value);
+      settings.weeklyBudget = value > 0 ? value : 0;
+      saveData('change budget', ['settings']);
+      renderGroceryList();
+    });
+    renderBudgetSettings();
+  }
+
+  /**
+   * Whether a storage record is shared through household sync.  List
+   * order records are not: each device keeps its own order and appends
+   * records new to it.
+   * @param {string} key Record key (see storageEntries)
+   * @returns {boolean}
+   */
+  function isSyncedKey(key) {
+    return syncedCollections.includes(key.split('/')[0]) && !key.endsWith('/#order');
+  }
+
+  /**
+   * Keep the sync state in storage (or remove it once disconnected).
+   */
+  function saveSyncState() {
+    storage.write([{ key: 'sync', json: syncState ? JSON.stringify(syncState) : null }]).catch(() => {
+      showToast('Could not save the sync state.', 4000);
+    });
+  }
+
+  /**
+   * Note synced records changed on this device so the next sync sends
+   * them.  The first change since the last sync keeps the record as it
+   * was, which conflicts are merged against.
+   * @param {Array<Object>} changes { key, before, after } (see diffEntries)
+   */
+  function noteLocalChanges(changes) {
+    let noted = false;
+    changes.forEach((change) => {
+      if (!isSyncedKey(change.key)) return;
+      if (!syncState.pending[change.key]) syncState.pending[change.key] = { base: change.before };
+      noted = true;
+    });
+    if (!noted) return;
+    saveSyncState();
+    scheduleSync();
+  }
+
+  /**
+   * Mark every synced record on this device as changed, so the next
+   * sync sends (or merges) all of them.  Used when connecting and when
+   * the server has lost its data.
+   */
+  function markAllForSync() {
+    storageEntries(collectData()).forEach((json, key) => {
+      if (isSyncedKey(key) && !syncState.pending[key]) syncState.pending[key] = { base: null };
+    });
+  }
+
+  /**
+   * Merge two edited copies of a record with the copy both started from.
+   * Fields changed on one side only are taken from that side; arrays are
+   * merged item by item (matched by id, by name and unit, or by value),
+   * so ticking different list items on two phones keeps both ticks.
+   * Where both sides changed the same value, the side chosen in the sync
+   * settings wins.
+   * @param {string|null} baseJson Record both edits started from
+   * @param {string|null} mineJson This device's copy (null if deleted)
+   * @param {string|null} theirsJson The server's copy (null if deleted)
+   * @returns {Object} { json, clashes }
+   */
+  function mergeRecord(baseJson, mineJson, theirsJson) {
+    const parse = (json) => (json === null ? undefined : JSON.parse(json));
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+    const preferMine = syncState.prefer === 'mine';
+    let clashes = 0;
+    const identity = (item) => {
+      if (!isObject(item)) return `value:${JSON.stringify(item)}`;
+      if (item.id !== undefined) return `id:${item.id}`;
+      if (item.name !== undefined) return `name:${item.name}|${item.unitId}|${!!item.restock}|${!!item.manual}`;
+      return null;
+    };
+    const index = (arr) => {
+      const map = new Map();
+      const counts = {};
+      arr.forEach((item, i) => {
+        const id = identity(item) || `index:${i}`;
+        counts[id] = (counts[id] || 0) + 1;
+        map.set(`${id}~${counts[id]}`, item);
+      });
+      return map;
+    };
+    const merge = (base, mine, theirs) => {
+      if (same(mine, theirs)) return mine;
+      if (same(base, mine)) return theirs;
+      if (same(base, theirs)) return mine;
+      if (Array.isArray(mine) && Array.isArray(theirs)) {
+        const b = index(Array.isArray(base) ? base : []);
+        const m = index(mine);
+        const t = index(theirs);
+        const result = [];
+        [...t.keys(), ...[...m.keys()].filter((key) => !t.has(key))].forEach((key) => {
+          if (m.has(key) && t.has(key)) {
+            result.push(merge(b.get(key), m.get(key), t.get(key)));
+            return;
           }
-          li.appendChild(checkbox);
-          li.appendChild(label);
-          listEl.appendChild(li);
+          const kept = m.has(key) ? m.get(key) : t.get(key);
+          // Added on one side, or deleted on the other without being
+          // changed on this one
+          if (!b.has(key) || !same(b.get(key), kept)) result.push(kept);
         });
+        return result;
+      }
+      if (isObject(mine) && isObject(theirs)) {
+        const b = isObject(base) ? base : {};
+        const result = {};
+        const keys = [...Object.keys(theirs), ...Object.keys(mine).filter((key) => !(key in theirs))];
+        keys.forEach((key) => {
+          const value = merge(b[key], mine[key], theirs[key]);
+          if (value !== undefined) result[key] = value;
+        });
+        return result;
+      }
+      clashes += 1;
+      return preferMine ? mine : theirs;
+    };
+    const theirs = parse(theirsJson);
+    const merged = merge(parse(baseJson), parse(mineJson), theirs);
+    let json = merged === undefined ? null : JSON.stringify(merged);
+    if (same(merged, theirs)) json = theirsJson;
+    return { json, clashes };
+  }
+
+  /**
+   * Apply records received from the sync server.  Records also changed
+   * here are merged (see mergeRecord) and stay pending so the merge is
+   * sent back.
+   * @param {Array<Object>} records { key, value, rev }
+   * @returns {number} Number of clashing edits resolved
+   */
+  function applyRemoteRecords(records) {
+    const entries = storageEntries(collectData());
+    let changed = false;
+    let clashes = 0;
+    records.forEach(({ key, value, rev }) => {
+      if (!isSyncedKey(key)) return;
+      syncState.revs[key] = rev;
+      const current = entries.has(key) ? entries.get(key) : null;
+      let next = value;
+      const pending = syncState.pending[key];
+      if (pending) {
+        const merged = mergeRecord(pending.base, current, value);
+        clashes += merged.clashes;
+        next = merged.json;
+        if (next === value) delete syncState.pending[key];
+        else pending.base = value;
+      }
+      if (next === current) return;
+      if (next === null) entries.delete(key);
+      else entries.set(key, next);
+      changed = true;
+    });
+    if (changed) {
+      syncApplying = true;
+      try {
+        restoreEntries(entries);
+      } finally {
+        syncApplying = false;
+      }
+    }
+    return clashes;
+  }
+
+  /**
+   * Call the sync server's API for the connected household.
+   * @param {string} method
+   * @param {string} path Path below the household, e.g. '/changes'
+   * @param {Object} [body] JSON body to send
+   * @returns {Promise<Object>} The parsed reply
+   */
+  function syncRequest(method, path, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (syncState.token) headers.Authorization = `Bearer ${syncState.token}`;
+    const base = syncState.url.replace(/\/+$/, '');
+    return fetch(`${base}/households/${encodeURIComponent(syncState.household)}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+    }).then((res) => {
+      if (res.status === 401) throw new Error('the server did not accept the sync key');
+      if (!res.ok) throw new Error(`the server replied ${res.status}`);
+      return res.json();
+    });
+  }
+
+  /**
+   * Fetch and apply what other devices changed since the last pull.
+   * @returns {Promise<number>} Clashing edits resolved
+   */
+  function pullChanges() {
+    return syncRequest('GET', `/changes?since=${syncState.seq}`).then((res) => {
+      if (!syncState) return 0;
+      if (res.seq < syncState.seq) {
+        // The server has lost its data (e.g. restarted without --data):
+        // start over and send everything again
+        syncState.seq = 0;
+        syncState.revs = {};
+        markAllForSync();
+        return pullChanges();
+      }
+      const clashes = applyRemoteRecords(res.changes);
+      syncState.seq = res.seq;
+      return clashes;
+    });
+  }
+
+  /**
+   * Send the records changed here.  Records someone else changed first
+   * come back as conflicts, which are merged and sent again.
+   * @param {number} [attempt]
+   * @returns {Promise<number>} Clashing edits resolved
+   */
+  function pushChanges(attempt = 0) {
+    const keys = Object.keys(syncState.pending);
+    if (keys.length === 0) return Promise.resolve(0);
+    const entries = storageEntries(collectData());
+    const sent = new Map(keys.map((key) => [key, entries.has(key) ? entries.get(key) : null]));
+    const changes = keys.map((key) => ({ key, value: sent.get(key), baseRev: syncState.revs[key] || 0 }));
+    return syncRequest('POST', '/changes', { changes }).then((res) => {
+      if (!syncState) return 0;
+      const now = storageEntries(collectData());
+      res.applied.forEach(({ key, rev }) => {
+        syncState.revs[key] = rev;
+        const current = now.has(key) ? now.get(key) : null;
+        // Edited again while the request was under way: send that too
+        if (current === sent.get(key)) delete syncState.pending[key];
+        else syncState.pending[key] = { base: sent.get(key) };
+      });
+      const clashes = applyRemoteRecords(res.conflicts);
+      if (res.conflicts.length > 0 && attempt < 3) {
+        return pushChanges(attempt + 1).then((more) => clashes + more);
+      }
+      return clashes;
+    });
+  }
+
+  /**
+   * Sync with the household server now: pull other devices' changes,
+   * then send this device's.  A sync requested while one is running
+   * follows straight after it.
+   * @returns {Promise}
+   */
+  function syncNow() {
+    if (!syncState) return Promise.resolve();
+    if (syncRunning) {
+      syncQueued = true;
+      return syncRunning;
+    }
+    clearTimeout(syncTimer);
+    renderSyncStatus('Syncing…');
+    syncRunning = pullChanges()
+      .then((pulled) => pushChanges().then((pushed) => pulled + pushed))
+      .then((clashes) => {
+        if (!syncState) return;
+        syncState.lastSync = new Date().toISOString();
+        saveSyncState();
+        renderSyncStatus();
+        if (clashes > 0) {
+          const winner = syncState.prefer === 'mine' ? 'this device' : 'the other device';
+          showToast(`Sync: ${clashes} edit(s) made on both devices; kept the version from ${winner}.`, 5000);
+        }
+      })
+      .catch((err) => {
+        if (syncState) saveSyncState();
+        renderSyncStatus(`Sync failed: ${err.message}. Changes are kept and sent next time.`);
+      })
+      .then(() => {
+        syncRunning = null;
+        if (syncQueued) {
+          syncQueued = false;
+          scheduleSync(0);
+        }
+      });
+    return syncRunning;
+  }
+
+  /**
+   * Sync shortly, so a burst of edits goes in one request.
+   * @param {number} [delay] Milliseconds to wait
+   */
+  function scheduleSync(delay = 2000) {
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(syncNow, delay);
+  }
+
+  /**
+   * Poll the server for other devices' changes while connected.
+   */
+  function updateSyncPolling() {
+    if (syncState && !syncPoll) {
+      syncPoll = setInterval(() => {
+        if (document.visibilityState !== 'hidden') syncNow();
+      }, 30000);
+    } else if (!syncState && syncPoll) {
+      clearInterval(syncPoll);
+      syncPoll = null;
+    }
+  }
+
+  /**
+   * Show the sync connection and when it last synced.
+   * @param {string} [message] Status to show instead
+   */
+  function renderSyncStatus(message) {
+    const status = document.getElementById('sync-status');
+    if (message) {
+      status.textContent = message;
+      return;
+    }
+    if (!syncState) {
+      status.textContent = 'Not connected. Data stays on this device.';
+      return;
+    }
+    const waiting = Object.keys(syncState.pending).length;
+    status.textContent =
+      `Connected to household "${syncState.household}" at ${syncState.url}. ` +
+      (syncState.lastSync ? `Last synced ${new Date(syncState.lastSync).toLocaleString()}.` : 'Not synced yet.') +
+      (waiting > 0 ? ` ${waiting} change(s) waiting to be sent.` : '');
+  }
+
+  /**
+   * Fill in the sync settings from the current connection.
+   */
+  function renderSyncSettings() {
+    const connected = !!syncState;
+    document.getElementById('sync-url').value = connected ? syncState.url : '';
+    document.getElementById('sync-household').value = connected ? syncState.household : '';
+    document.getElementById('sync-key').value = connected ? syncState.token || '' : '';
+    document.getElementById('sync-prefer').value = connected ? syncState.prefer : 'theirs';
+    document.getElementById('sync-connect').textContent = connected ? 'Save Connection' : 'Connect';
+    document.getElementById('sync-now').disabled = !connected;
+    document.getElementById('sync-disconnect').disabled = !connected;
+    renderSyncStatus();
+  }
+
+  /**
+   * Wire up the household sync settings and sync automatically: after
+   * edits, every 30 seconds while the app is open and when the device
+   * comes back online.
+   */
+  function setupSync() {
+    document.getElementById('sync-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const url = document.getElementById('sync-url').value.trim();
+      const household = document.getElementById('sync-household').value.trim();
+      try {
+        const parsed = new URL(url);
+        if (!/^https?:$/.test(parsed.protocol)) throw new Error('protocol');
+      } catch (err) {
+        alert('Please enter the sync server address, e.g. http://192.168.1.10:8787');
+        return;
+      }
+      if (!/^[\w-]{1,64}$/.test(household)) {
+        alert('Household names may use letters, digits, - and _ (up to 64).');
+        return;
+      }
+      const sameServer = syncState && syncState.url === url && syncState.household === household;
+      if (!sameServer) {
+        syncState = { url, household, seq: 0, revs: {}, pending: {}, lastSync: null };
+        // Everything here is merged with what the household already has
+        markAllForSync();
       }
+      syncState.token = document.getElementById('sync-key').value;
+      syncState.prefer = document.getElementById('sync-prefer').value;
+      saveSyncState();
+      renderSyncSettings();
+      updateSyncPolling();
+      syncNow();
+    });
+    document.getElementById('sync-prefer').addEventListener('change', (e) => {
+      if (!syncState) return;
+      syncState.prefer = e.target.value;
+      saveSyncState();
+    });
+    document.getElementById('sync-now').addEventListener('click', () => syncNow());
+    document.getElementById('sync-disconnect').addEventListener('click', () => {
+      if (!syncState) return;
+      if (!confirm('Stop syncing this device? Its data stays here; changes are no longer shared.')) return;
+      clearTimeout(syncTimer);
+      syncState = null;
+      saveSyncState();
+      renderSyncSettings();
+      updateSyncPolling();
+    });
+    window.addEventListener('online', () => syncNow());
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') syncNow();
+    });
+    renderSyncSettings();
+    updateSyncPolling();
+    syncNow();
+  }
+
+  /**
+   * Register the service worker (sw.js) that keeps the app usable
+   * offline, and offer a reload when it has downloaded a new version.
+   * Pages opened from a file, where service workers are unavailable,
+   * simply run without it.
+   */
+  function setupServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    const banner = document.getElementById('update-banner');
+    let reloading = false;
+    const offerUpdate = (worker) => {
+      banner.classList.remove('section-hidden');
+      document.getElementById('update-reload').onclick = () => {
+        worker.postMessage({ type: 'SKIP_WAITING' });
+      };
+    };
+    document.getElementById('update-later').addEventListener('click', () => {
+      banner.classList.add('section-hidden');
     });
+    // On a first visit the new worker claims the page without an update
+    // taking place, so only reload a page that already had a worker
+    const hadController = !!navigator.serviceWorker.controller;
+    // The new worker has taken over: load the new version of the page
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (reloading || !hadController) return;
+      reloading = true;
+      location.reload();
+    });
+    navigator.serviceWorker
+      .register('sw.js')
+      .then((registration) => {
+        // Only an update waits while an older worker controls the page
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          offerUpdate(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+          const worker = registration.installing;
+          worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+          });
+        });
+      })
+      .catch(() => {
+        // Without the worker the app still runs, just not offline
+      });
+  }
+
+  /**
+   * Set up every view once the data has been loaded.
+   */
+  function startApp() {
+    setupNavigation();
+    setupUndo();
+    setupRecipeForm();
+    setupPantryForm();
+    setupWeekTools();
+    setupAutoFill();
+    setupWeekPlan();
+    setupGroceryList();
+    setupPriceForm();
+    setupListItemForms();
+    setupSettings();
+    setupDensityForm();
+    setupNutrientForm();
+    setupCatalogForm();
+    setupRecipeImport();
+    setupMealSlotForm();
+    setupSectionForms();
+    setupSync();
+    renderRecipeList();
+    renderPantry();
+    renderDensities();
+    renderNutrients();
+    renderPrices();
+    renderStaples();
+    renderCatalog();
+    renderCatalogSuggestions();
+    renderMealSlotSettings();
+    renderSectionSettings();
+    renderStoreSettings();
   }
 
-  // Initialisation sequence
-  loadData();
-  setupNavigation();
-  setupRecipeForm();
-  setupPantryForm();
-  setupWeekPlan();
-  setupGroceryList();
-  setupSettings();
-  renderRecipeList();
-  renderPantry();
+  // Initialisation sequence.  Loading from IndexedDB is asynchronous, so
+  // the views are set up once the data is in memory.
+  setupServiceWorker();
+  openStorage()
+    .then((adapter) => {
+      storage = adapter;
+      return storage.load();
+    })
+    .catch(() => {
+      // IndexedDB could not be read: carry on with localStorage
+      showToast('Saved data could not be read from IndexedDB; using local storage for now.', 6000);
+      storage = createLocalStorageAdapter();
+      return storage.load();
+    })
+    .then(({ data, migrated, sync }) => {
+      applyData(data);
+      // What the adapter holds once loading is done
+      const entries = storageEntries({ ...collectData(), schemaVersion: data.schemaVersion });
+      if (!migrated) return { data, entries, sync };
+      // First run under IndexedDB: copy everything over in one write
+      // and only drop the localStorage keys once that has succeeded
+      const changes = [...entries].map(([key, json]) => ({ key, json }));
+      return storage
+        .write(changes, { replace: true })
+        .then(() => clearLegacyStorage())
+        .catch(() => {
+          showToast('Could not move your data into IndexedDB; it stays in local storage for now.', 6000);
+          storage = createLocalStorageAdapter();
+        })
+        .then(() => ({ data, entries, sync }));
+    })
+    .then(({ data, entries, sync }) => {
+      persisted = entries;
+      upgradeStoredData(data.schemaVersion);
+      undoBase = storageEntries(collectData());
+      syncState = sync;
+      startApp();
+    })
+    .catch((err) => {
+      alert(`The planner could not start: ${err && err.message ? err.message : err}`);
+    });
 });
\ No newline at end of file
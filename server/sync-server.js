@@ -0,0 +1,298 @@
+/*
+ * Grocery Planner sync server.
+ *
+ * A small self-hostable server that lets several devices share one
+ * household's recipes, pantry, plans and grocery list.  It needs only
+ * Node.js, no packages:
+ *
+ *   node server/sync-server.js [--port 8787] [--data sync-data.json] [--token SECRET]
+ *
+ * Options can also be given as the SYNC_PORT, SYNC_DATA and SYNC_TOKEN
+ * environment variables.  Without --data everything is kept in memory,
+ * which is enough for trying sync out locally.  With --token, clients
+ * must send the same key.  The server also serves the app itself from
+ * the directory above this one, so a phone on the same network can open
+ * http://<host>:8787/ and sync with no other hosting.
+ *
+ * Each household is a set of records keyed as in the app's storage
+ * ("recipes/<id>", "weeks/<date>", "lastList" ...) holding the record's
+ * JSON, or null once deleted.  Every accepted write gets the next
+ * revision number of the household:
+ *
+ *   GET  /households/<name>/changes?since=<rev>
+ *        -> { seq, changes: [{ key, value, rev }] } written after <rev>
+ *   POST /households/<name>/changes  { changes: [{ key, value, baseRev }] }
+ *        -> { seq, applied: [{ key, rev }], conflicts: [{ key, value, rev }] }
+ *
+ * A write is only accepted when `baseRev` is the record's current
+ * revision (0 for a record the server has never seen); otherwise the
+ * server's copy is returned as a conflict for the client to merge.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// Largest request body accepted, in bytes
+const maxBodySize = 5 * 1024 * 1024;
+// Household names: letters, digits, dashes and underscores
+const householdPattern = /^[\w-]{1,64}$/;
+// The app files served alongside the API, with their content types.
+// Nothing else is served, so the data file never leaves the server.
+const appFiles = {
+  '/index.html': 'text/html; charset=utf-8',
+  '/script.js': 'text/javascript; charset=utf-8',
+  '/style.css': 'text/css; charset=utf-8',
+  '/sw.js': 'text/javascript; charset=utf-8',
+  '/manifest.webmanifest': 'application/manifest+json',
+};
+// Icons may be any PNG directly inside icons/
+const iconPattern = /^\/icons\/[\w-]+\.png$/;
+
+/**
+ * Copy an object's own properties into one with no prototype, so keys
+ * such as "__proto__" or "constructor" are ordinary entries.
+ * @param {Object} [source]
+ * @returns {Object}
+ */
+function dictionary(source = {}) {
+  const dict = Object.create(null);
+  Object.keys(source).forEach((key) => {
+    dict[key] = source[key];
+  });
+  return dict;
+}
+
+/**
+ * Load saved households from the data file.
+ * @param {string|null} dataFile
+ * @returns {Object} Household name to { seq, records }
+ */
+function loadHouseholds(dataFile) {
+  const households = dictionary();
+  if (!dataFile || !fs.existsSync(dataFile)) return households;
+  const saved = JSON.parse(fs.readFileSync(dataFile, 'utf8')).households || {};
+  Object.keys(saved).forEach((name) => {
+    households[name] = { seq: saved[name].seq, records: dictionary(saved[name].records) };
+  });
+  return households;
+}
+
+/**
+ * Write the households to the data file, replacing it in one step so a
+ * crash never leaves half a file behind.
+ * @param {string|null} dataFile
+ * @param {Object} households
+ */
+function saveHouseholds(dataFile, households) {
+  if (!dataFile) return;
+  const tmp = `${dataFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ households }));
+  fs.renameSync(tmp, dataFile);
+}
+
+/**
+ * Send a JSON response.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>}
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBodySize) {
+        reject(Object.assign(new Error('Request too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (err) {
+        reject(Object.assign(new Error('Body is not valid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Serve one of the app's own files.  Only the files in `appFiles` and
+ * the icons are served, and never the data file.
+ * @param {string} appDir
+ * @param {string} pathname
+ * @param {string|null} dataFile
+ * @param {http.ServerResponse} res
+ */
+function serveAppFile(appDir, pathname, dataFile, res) {
+  const relative = pathname === '/' ? '/index.html' : pathname;
+  const type = Object.prototype.hasOwnProperty.call(appFiles, relative)
+    ? appFiles[relative]
+    : iconPattern.test(relative) && 'image/png';
+  const file = path.join(appDir, relative);
+  if (!type || file === dataFile) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+  fs.readFile(file, (err, body) => {
+    if (err) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+    res.end(body);
+  });
+}
+
+/**
+ * Create the sync server.  Call `listen()` on the result to start it.
+ * @param {Object} [options]
+ * @param {string|null} [options.dataFile] JSON file to keep data in;
+ *   data is kept in memory only when omitted
+ * @param {string|null} [options.token] Key clients must send as
+ *   "Authorization: Bearer <token>"
+ * @param {string|null} [options.appDir] Folder the app is served from
+ *   (null to serve the API only)
+ * @returns {http.Server}
+ */
+function createSyncServer({ dataFile = null, token = null, appDir = path.resolve(__dirname, '..') } = {}) {
+  const households = loadHouseholds(dataFile);
+
+  /**
+   * Apply a client's writes to a household, returning which were
+   * accepted and the server's copy of those that conflict.
+   * @param {Object} household { seq, records }
+   * @param {Array<Object>} changes { key, value, baseRev }
+   * @returns {Object} { applied, conflicts }
+   */
+  function applyChanges(household, changes) {
+    const applied = [];
+    const conflicts = [];
+    changes.forEach(({ key, value, baseRev }) => {
+      const current = Object.prototype.hasOwnProperty.call(household.records, key) ? household.records[key] : null;
+      const currentRev = current ? current.rev : 0;
+      if ((baseRev || 0) !== currentRev) {
+        conflicts.push({ key, value: current ? current.value : null, rev: currentRev });
+        return;
+      }
+      household.seq += 1;
+      household.records[key] = { value, rev: household.seq };
+      applied.push({ key, rev: household.seq });
+    });
+    return { applied, conflicts };
+  }
+
+  /**
+   * Check a POST body: every change needs a string key and a value that
+   * is a JSON string or null.
+   * @param {Object} body
+   * @returns {boolean}
+   */
+  function validChanges(body) {
+    return (
+      body &&
+      Array.isArray(body.changes) &&
+      body.changes.every(
+        (change) =>
+          change &&
+          typeof change.key === 'string' &&
+          change.key.length > 0 &&
+          (change.value === null || typeof change.value === 'string') &&
+          Number.isInteger(change.baseRev || 0),
+      )
+    );
+  }
+
+  return http.createServer((req, res) => {
+    // The app may be hosted elsewhere, so allow calls from any origin
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/households\/([^/]+)\/changes$/);
+    if (!match) {
+      if (appDir && req.method === 'GET') serveAppFile(appDir, url.pathname, dataFile, res);
+      else sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      sendJson(res, 401, { error: 'Wrong or missing sync key' });
+      return;
+    }
+    const name = match[1];
+    if (!householdPattern.test(name)) {
+      sendJson(res, 400, { error: 'Household names may use letters, digits, - and _' });
+      return;
+    }
+    const household = Object.prototype.hasOwnProperty.call(households, name)
+      ? households[name]
+      : { seq: 0, records: dictionary() };
+    if (req.method === 'GET') {
+      const since = parseInt(url.searchParams.get('since'), 10) || 0;
+      const changes = Object.keys(household.records)
+        .filter((key) => household.records[key].rev > since)
+        .map((key) => ({ key, ...household.records[key] }))
+        .sort((a, b) => a.rev - b.rev);
+      sendJson(res, 200, { seq: household.seq, changes });
+      return;
+    }
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    readJsonBody(req)
+      .then((body) => {
+        if (!validChanges(body)) {
+          sendJson(res, 400, { error: 'Expected { changes: [{ key, value, baseRev }] }' });
+          return;
+        }
+        households[name] = household;
+        const result = applyChanges(household, body.changes);
+        if (result.applied.length > 0) saveHouseholds(dataFile, households);
+        sendJson(res, 200, { seq: household.seq, ...result });
+      })
+      .catch((err) => sendJson(res, err.status || 500, { error: err.message }));
+  });
+}
+
+/**
+ * Read a `--name value` command-line option.
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+function readOption(name) {
+  const idx = process.argv.indexOf(`--${name}`);
+  return idx >= 0 ? process.argv[idx + 1] : undefined;
+}
+
+if (require.main === module) {
+  const port = parseInt(readOption('port') || process.env.SYNC_PORT, 10) || 8787;
+  const dataFile = readOption('data') || process.env.SYNC_DATA || null;
+  const token = readOption('token') || process.env.SYNC_TOKEN || null;
+  createSyncServer({ dataFile: dataFile && path.resolve(dataFile), token }).listen(port, () => {
+    console.log(`Grocery Planner sync server on http://localhost:${port}/`);
+    console.log(dataFile ? `Saving data to ${path.resolve(dataFile)}` : 'Keeping data in memory only (use --data to save it)');
+  });
+}
+
+module.exports = { createSyncServer };
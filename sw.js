@@ -0,0 +1,66 @@
+/*
+ * Service worker for the Grocery Planner.
+ *
+ * Precaches the app shell so the planner opens and works without a
+ * connection.  Bump CACHE_VERSION whenever a file in APP_SHELL changes:
+ * the browser then installs this worker as an update, the page offers to
+ * reload (see setupServiceWorker in script.js) and the old cache is
+ * removed once the new version takes over.
+ */
+
+const CACHE_VERSION = 'v1';
+const CACHE_NAME = `grocery-planner-${CACHE_VERSION}`;
+
+// Files that make up the app shell, relative to this worker's scope
+const APP_SHELL = [
+  './',
+  'index.html',
+  'script.js',
+  'style.css',
+  'manifest.webmanifest',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'icons/apple-touch-icon.png',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(APP_SHELL)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith('grocery-planner-') && name !== CACHE_NAME)
+            .map((name) => caches.delete(name)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+// The page asks a waiting worker to take over once the user accepts
+// the update.
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  // Other origins (such as a sync server) are left to the network
+  if (url.origin !== self.location.origin) return;
+  if (request.mode === 'navigate') {
+    // Pages come from the shell, so the planner opens offline
+    event.respondWith(
+      caches.match('index.html').then((cached) => cached || fetch(request)),
+    );
+    return;
+  }
+  // Shell files from the cache, anything else from the network
+  event.respondWith(caches.match(request).then((cached) => cached || fetch(request)));
+});